@@ -83,14 +83,487 @@ class Damper {
     }
 }
 
+/**
+ * Error thrown by SplatViewer.loadSplat()
+ * type is one of: 'network', 'unsupported-format', 'decode', 'timeout', 'aborted'
+ */
+export class SplatLoadError extends Error {
+    constructor(message, type, cause) {
+        super(message);
+        this.name = 'SplatLoadError';
+        this.type = type;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error thrown for scene manifests (scene-src) that cannot be fetched or fail validation
+ * `path` names the offending field (e.g. "camera.position"), or is null for fetch/JSON errors
+ */
+export class SceneManifestError extends Error {
+    constructor(message, path, cause) {
+        super(message);
+        this.name = 'SceneManifestError';
+        this.path = path || null;
+        this.cause = cause;
+    }
+}
+
+// File extensions Spark can decode, mapped to Spark's SplatFileType values
+const SPLAT_FILE_EXTENSIONS = {
+    ply: 'ply',
+    spz: 'spz',
+    splat: 'splat',
+    ksplat: 'ksplat',
+    sog: 'pcsogszip'
+};
+
+// Get the Spark file type from a file name or URL extension
+function getSplatFileTypeFromName(name) {
+    if (!name || typeof name !== 'string') return undefined;
+    const path = name.split(/[?#]/, 1)[0].toLowerCase();
+    const lastDot = path.lastIndexOf('.');
+    if (lastDot < 0) return undefined;
+    return SPLAT_FILE_EXTENSIONS[path.slice(lastDot + 1)];
+}
+
+// Detect the Spark file type: magic bytes first (ply, spz, sog), then the caller's hint, then the file extension
+function detectSplatFileType(library, fileBytes, name, fileTypeHint) {
+    if (library && library.getSplatFileType) {
+        try {
+            const sniffed = library.getSplatFileType(fileBytes);
+            if (sniffed) return sniffed;
+        } catch (error) {
+            // File too short to sniff - fall through to the hint and extension
+        }
+    }
+    if (fileTypeHint) {
+        // Accept both extensions ('sog', '.ply') and Spark's SplatFileType values ('pcsogszip')
+        const hint = String(fileTypeHint).toLowerCase().replace(/^\./, '');
+        const hinted = SPLAT_FILE_EXTENSIONS[hint] || (Object.values(SPLAT_FILE_EXTENSIONS).includes(hint) ? hint : undefined);
+        if (hinted) return hinted;
+    }
+    return getSplatFileTypeFromName(name);
+}
+
+// Name used for a splat source in status messages, events and extension-based type detection
+function getSplatSourceName(source, fileName) {
+    if (fileName) return fileName;
+    if (typeof source === 'string') return source;
+    if (typeof File !== 'undefined' && source instanceof File) return source.name;
+    return 'splat';
+}
+
+// Get the raw bytes of a splat source: URL string, File/Blob, ArrayBuffer or typed array
+async function readSplatBytes(source, { onProgress, signal, timeoutSignal, cache } = {}) {
+    if (typeof source === 'string') {
+        return fetchSplatBytes(source, { onProgress, signal, timeoutSignal, cache });
+    }
+    // Always copy caller-owned memory: Spark transfers fileBytes.buffer to its decoder worker (detaching
+    // the caller's buffer) and reads it from the start (wrong bytes for views with an offset)
+    if (source instanceof ArrayBuffer) {
+        return new Uint8Array(source.slice(0));
+    }
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength).slice();
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        // Local files are read in one go - report the size so the progress bar completes
+        if (onProgress) onProgress(0, source.size);
+        const bytes = new Uint8Array(await source.arrayBuffer());
+        if (onProgress) onProgress(bytes.length, source.size);
+        return bytes;
+    }
+    throw new TypeError('Splat source must be a URL, File, Blob or ArrayBuffer');
+}
+
+// Easing curves for camera transitions, keyed by the names accepted in goToViewpoint()
+const EASING_FUNCTIONS = {
+    'linear': (t) => t,
+    'ease-in': (t) => t * t * t,
+    'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Image formats accepted by captureImage(), by short name
+const CAPTURE_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+function getCaptureMimeType(format) {
+    const lower = String(format || 'png').toLowerCase().trim();
+    if (Object.values(CAPTURE_FORMATS).includes(lower)) return lower;
+    const mimeType = CAPTURE_FORMATS[lower];
+    if (!mimeType) {
+        throw new Error(`Unsupported capture format: ${format}. Use png, jpeg or webp.`);
+    }
+    return mimeType;
+}
+
+// Encode a canvas as an image Blob
+function encodeCanvas(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((result) => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error(`Could not encode a ${canvas.width}x${canvas.height} ${mimeType} image`));
+            }
+        }, mimeType, quality);
+    });
+}
+
+// First non-transparent CSS background up the tree, as [r, g, b] (used for opaque captures)
+function getOpaqueBackgroundColor(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const match = getComputedStyle(node).backgroundColor.match(/rgba?\(([^)]+)\)/);
+        if (!match) continue;
+        const [r, g, b, a = 1] = match[1].split(',').map((part) => parseFloat(part));
+        if (a > 0) return [r, g, b];
+    }
+    return [0, 0, 0];
+}
+
+/**
+ * Copy premultiplied RGBA pixels read from a render target (bottom-up rows) into ImageData (top-down, straight alpha)
+ * With a background color the result is composited onto it and made opaque
+ */
+function copyCapturePixels(source, target, width, height, background) {
+    for (let y = 0; y < height; y++) {
+        const sourceRow = (height - 1 - y) * width * 4;
+        const targetRow = y * width * 4;
+        for (let x = 0; x < width * 4; x += 4) {
+            const i = sourceRow + x;
+            const o = targetRow + x;
+            const a = source[i + 3];
+            if (background) {
+                const inverse = (255 - a) / 255;
+                target[o] = source[i] + background[0] * inverse;
+                target[o + 1] = source[i + 1] + background[1] * inverse;
+                target[o + 2] = source[i + 2] + background[2] * inverse;
+                target[o + 3] = 255;
+            } else {
+                const scale = a > 0 ? 255 / a : 0;
+                target[o] = source[i] * scale;
+                target[o + 1] = source[i + 1] * scale;
+                target[o + 2] = source[i + 2] * scale;
+                target[o + 3] = a;
+            }
+        }
+    }
+}
+
+// Desktop navigation modes (controls attribute)
+const CONTROLS_MODES = ['orbit', 'fly', 'fps'];
+
+// AR gesture modes, in double-tap order
+const AR_TRANSFORM_MODES = ['translate', 'rotate', 'scale'];
+
+const CONTROLS_HINTS = {
+    orbit: '🖱️ Drag to rotate • Scroll to zoom',
+    fly: '🖱️ Drag to look • WASD / arrows to move • R / F up and down • Shift for speed',
+    fps: '🖱️ Click to look around • WASD / arrows to walk • Esc to release the mouse'
+};
+
+// Radians of camera turn per pixel of mouse movement under pointer lock (controls="fps")
+const POINTER_LOCK_LOOK_SPEED = 0.002;
+
+// Named gradients for the background attribute (CSS linear-gradient syntax, top to bottom)
+const BACKGROUND_PRESETS = {
+    studio: 'linear-gradient(#3a3f47, #121417)',
+    'studio-light': 'linear-gradient(#ffffff, #d5dae1)',
+    sunset: 'linear-gradient(#fcb36b, #f0706a 45%, #3a2c4d)',
+    night: 'linear-gradient(#1c2a4a, #05070d)'
+};
+
+// Full-screen backdrop drawn before the splats. It writes raw sRGB values like Spark's splat
+// shader (no colorspace_fragment), so the screen and render-target captures show the same colors.
+const BACKGROUND_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vDirection;
+    void main() {
+        vUv = uv;
+        // World-space view ray through this corner, for the equirectangular skybox
+        vec4 view = inverse(projectionMatrix) * vec4(position.xy, 1.0, 1.0);
+        vDirection = transpose(mat3(viewMatrix)) * (view.xyz / view.w);
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const BACKGROUND_FRAGMENT_SHADER = `
+    uniform int mode; // 0 = color, 1 = vertical gradient texture, 2 = equirectangular skybox
+    uniform vec3 color;
+    uniform sampler2D map;
+    varying vec2 vUv;
+    varying vec3 vDirection;
+    void main() {
+        if (mode == 0) {
+            gl_FragColor = vec4(color, 1.0);
+        } else if (mode == 1) {
+            gl_FragColor = vec4(texture2D(map, vec2(0.5, vUv.y)).rgb, 1.0);
+        } else {
+            vec3 direction = normalize(vDirection);
+            vec2 uv = vec2(
+                atan(direction.z, direction.x) * 0.15915494 + 0.5,
+                asin(clamp(direction.y, -1.0, 1.0)) * 0.31830988 + 0.5
+            );
+            gl_FragColor = vec4(texture2D(map, uv).rgb, 1.0);
+        }
+    }
+`;
+
+/**
+ * Split a CSS function argument list on top-level commas ("rgb(0, 0, 0), #fff" -> 2 parts)
+ */
+function splitTopLevelCommas(value) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '(') depth++;
+        else if (char === ')') depth--;
+        else if (char === ',' && depth === 0) {
+            parts.push(value.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(value.slice(start).trim());
+    return parts.filter(Boolean);
+}
+
+/**
+ * Draw a vertical CSS linear-gradient() into a canvas (top row = top of the view)
+ * Supports "to bottom" / "to top" / "180deg" / "0deg" and color stops with optional percentages
+ * @returns {HTMLCanvasElement|null} - null if the gradient cannot be parsed
+ */
+function createGradientCanvas(gradient) {
+    const match = gradient.trim().match(/^linear-gradient\((.*)\)$/i);
+    if (!match) return null;
+
+    const args = splitTopLevelCommas(match[1]);
+    let reverse = false;
+    if (args.length > 0 && /^(to\s+\w+|[-\d.]+deg)$/i.test(args[0])) {
+        const direction = args.shift().toLowerCase();
+        reverse = direction === 'to top' || parseFloat(direction) % 360 === 0;
+        if (!['to top', 'to bottom'].includes(direction) && !/^[-\d.]+deg$/.test(direction)) {
+            console.warn(`SplatViewer: background gradients are vertical; ignoring direction "${direction}"`);
+        }
+    }
+    if (args.length < 2) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+    const fill = context.createLinearGradient(0, reverse ? canvas.height : 0, 0, reverse ? 0 : canvas.height);
+    try {
+        args.forEach((stop, i) => {
+            const [, color, percent] = stop.match(/^(.*?)(?:\s+([-\d.]+)%)?$/);
+            const offset = percent !== undefined ? parseFloat(percent) / 100 : i / (args.length - 1);
+            fill.addColorStop(Math.min(1, Math.max(0, offset)), color);
+        });
+    } catch (error) {
+        // addColorStop throws on colors the browser cannot parse
+        return null;
+    }
+    context.fillStyle = fill;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+// quality presets, from level 0 (low) to 2 (high); quality="auto" moves between them
+// minPixelRadius and minAlpha make Spark skip splats that are tiny on screen or nearly transparent
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+const QUALITY_PRESETS = {
+    low: { maxPixelRatio: 0.75, maxStdDev: Math.sqrt(3), minPixelRadius: 1, minAlpha: 4 / 255 },
+    medium: { maxPixelRatio: 1.5, maxStdDev: 2, minPixelRadius: 0.5, minAlpha: 2 / 255 },
+    // Math.sqrt(5) is Spark's recommendation for VR and perceptually very close to its default of Math.sqrt(8)
+    high: { maxPixelRatio: Infinity, maxStdDev: Math.sqrt(5), minPixelRadius: 0, minAlpha: 0.5 / 255 }
+};
+
+// quality="auto": how the governor reacts in each render loop
+// window: milliseconds of frames averaged per decision; raiseAfter: milliseconds on target before stepping up
+const QUALITY_POLICIES = {
+    desktop: { window: 1000, raiseAfter: 3000, stepDown: 0.5, stepUp: 0.25, pixelRatio: true },
+    // The XR framebuffer keeps its size for the whole session, so only Spark's settings change;
+    // dropped frames are more noticeable with a headset or phone in hand, so react sooner
+    ar: { window: 500, raiseAfter: 5000, stepDown: 0.5, stepUp: 0.25, pixelRatio: false }
+};
+
+/**
+ * Blend the quality presets for a governor level between 0 (low) and 2 (high)
+ * @returns {{pixelRatio: number, maxStdDev: number, minPixelRadius: number, minAlpha: number}}
+ */
+function getQualitySettings(level) {
+    const clamped = Math.min(QUALITY_LEVELS.length - 1, Math.max(0, level));
+    const index = Math.min(QUALITY_LEVELS.length - 2, Math.floor(clamped));
+    const t = clamped - index;
+    const from = QUALITY_PRESETS[QUALITY_LEVELS[index]];
+    const to = QUALITY_PRESETS[QUALITY_LEVELS[index + 1]];
+    const mix = (a, b) => a + (b - a) * t;
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    return {
+        pixelRatio: mix(Math.min(devicePixelRatio, from.maxPixelRatio), Math.min(devicePixelRatio, to.maxPixelRatio)),
+        maxStdDev: mix(from.maxStdDev, to.maxStdDev),
+        minPixelRadius: mix(from.minPixelRadius, to.minPixelRadius),
+        minAlpha: mix(from.minAlpha, to.minAlpha)
+    };
+}
+
+// Starting level for a quality option (auto starts at high and steps down if needed)
+function getInitialQualityLevel(quality) {
+    const index = QUALITY_LEVELS.indexOf(quality);
+    return index >= 0 ? index : QUALITY_LEVELS.length - 1;
+}
+
+// Cross-fade from the splat-preview-src splat to the full splat, in milliseconds
+const SPLAT_CROSS_FADE_DURATION = 600;
+
+// render-mode="on-demand": frames rendered after the last change so Spark's splat sort catches up
+const RENDER_SETTLE_FRAMES = 3;
+
+// Longest a capture waits for Spark's splat sort (ms) - a failed sort never reports idle
+const SPLAT_SORT_TIMEOUT = 2000;
+
+// Contact shadow footprint resolution (cells per side) and padding around the splat for the blur
+const SHADOW_GRID_SIZE = 128;
+const SHADOW_PADDING = 0.25;
+
+/**
+ * Project splat centers onto the floor plane as an opacity-weighted density grid
+ * Splats close to the floor count more, so the shadow is darkest where the splat touches it
+ * @param {Object} mesh - Spark SplatMesh (must be initialized)
+ * @param {THREE.Matrix4} matrix - Rotation and scale to apply to the splat centers
+ * @returns {{grid: Float32Array, minX: number, minZ: number, width: number, depth: number}|null}
+ */
+function computeSplatFootprint(mesh, matrix) {
+    const bounds = getSplatCenterBounds(mesh);
+    if (!bounds || typeof mesh.forEachSplat !== 'function') return null;
+
+    const box = new window.THREE.Box3();
+    getBoxCorners(bounds).forEach(corner => box.expandByPoint(corner.applyMatrix4(matrix)));
+    const size = box.getSize(new window.THREE.Vector3());
+    const extent = Math.max(size.x, size.z, 1e-6);
+    const width = size.x + extent * SHADOW_PADDING * 2;
+    const depth = size.z + extent * SHADOW_PADDING * 2;
+    const minX = box.min.x - extent * SHADOW_PADDING;
+    const minZ = box.min.z - extent * SHADOW_PADDING;
+    const height = Math.max(size.y, 1e-6);
+
+    const grid = new Float32Array(SHADOW_GRID_SIZE * SHADOW_GRID_SIZE);
+    const point = new window.THREE.Vector3();
+    mesh.forEachSplat((_index, center, _scales, _quaternion, opacity) => {
+        point.copy(center).applyMatrix4(matrix);
+        const i = Math.floor((point.x - minX) / width * SHADOW_GRID_SIZE);
+        const j = Math.floor((point.z - minZ) / depth * SHADOW_GRID_SIZE);
+        if (i < 0 || j < 0 || i >= SHADOW_GRID_SIZE || j >= SHADOW_GRID_SIZE) return;
+        const elevation = (point.y - box.min.y) / height;
+        grid[j * SHADOW_GRID_SIZE + i] += opacity * (1 - 0.75 * elevation);
+    });
+
+    return { grid, minX, minZ, width, depth };
+}
+
+/**
+ * Blur a footprint grid (three box-blur passes, close to a gaussian) into a shadow canvas
+ * @param {Float32Array} grid - Density from computeSplatFootprint()
+ * @param {number} softness - 0 (sharp) to 1 (very soft)
+ */
+function drawShadowCanvas(grid, softness, canvas) {
+    const size = SHADOW_GRID_SIZE;
+    const radius = Math.round(Math.min(1, Math.max(0, softness)) * size * 0.08);
+    let source = Float32Array.from(grid);
+    let target = new Float32Array(source.length);
+    for (let pass = 0; pass < 3 && radius > 0; pass++) {
+        for (const horizontal of [true, false]) {
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const c = horizontal ? col + k : col;
+                        const r = horizontal ? row : row + k;
+                        if (c >= 0 && r >= 0 && c < size && r < size) sum += source[r * size + c];
+                    }
+                    target[row * size + col] = sum / (radius * 2 + 1);
+                }
+            }
+            [source, target] = [target, source];
+        }
+    }
+
+    // Normalize so the densest part of the footprint is fully dark
+    let max = 0;
+    for (let i = 0; i < source.length; i++) max = Math.max(max, source[i]);
+
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+    for (let i = 0; i < source.length; i++) {
+        image.data[i * 4 + 3] = max > 0 ? Math.round(Math.min(1, source[i] / max) * 255) : 0;
+    }
+    context.putImageData(image, 0, 0);
+}
+
+// Delay before camera movement is written to the URL hash (sync-url)
+const URL_SYNC_DELAY = 300;
+
+// Splat-center bounds per SplatMesh (walking every splat is too slow to repeat each frame)
+const splatBoundsCache = new WeakMap();
+
+/**
+ * Get the bounds of a Spark SplatMesh's splat centers in mesh space
+ * @returns {THREE.Box3|null} - null until the mesh has decoded its splats
+ */
+function getSplatCenterBounds(mesh) {
+    if (!mesh || !mesh.isInitialized || typeof mesh.getBoundingBox !== 'function' || !mesh.numSplats) {
+        return null;
+    }
+    let bounds = splatBoundsCache.get(mesh);
+    if (!bounds) {
+        bounds = mesh.getBoundingBox(true);
+        splatBoundsCache.set(mesh, bounds);
+    }
+    return bounds;
+}
+
+/**
+ * Get the 8 corners of a Box3 as new Vector3s
+ */
+function getBoxCorners(box) {
+    const { min, max } = box;
+    return [
+        new window.THREE.Vector3(min.x, min.y, min.z),
+        new window.THREE.Vector3(max.x, min.y, min.z),
+        new window.THREE.Vector3(min.x, max.y, min.z),
+        new window.THREE.Vector3(max.x, max.y, min.z),
+        new window.THREE.Vector3(min.x, min.y, max.z),
+        new window.THREE.Vector3(max.x, min.y, max.z),
+        new window.THREE.Vector3(min.x, max.y, max.z),
+        new window.THREE.Vector3(max.x, max.y, max.z)
+    ];
+}
+
 // Global registry to track all active SplatViewer instances
 // Used to coordinate rendering when multiple viewers exist
 const activeViewers = new Set();
 
-// Get the currently active AR viewer (only one can be in AR at a time)
+// sync-group: viewers whose desktop cameras move together, by group name
+// Each group is { members: Set<SplatViewer>, leader: SplatViewer|null }; the leader is the
+// viewer the user (or script) last moved, and its camera is copied to the other members
+const syncGroups = new Map();
+
+// Errors that were already dispatched as 'error' events
+const reportedErrors = new WeakSet();
+
+// Get the currently active AR/VR viewer (only one can be in an immersive session at a time)
 function getActiveARViewer() {
     for (const viewer of activeViewers) {
-        if (viewer.xrSession && viewer.renderer && viewer.renderer.xr && viewer.renderer.xr.isPresenting) {
+        if ((viewer.xrSession || viewer.vrSession) && viewer.renderer && viewer.renderer.xr && viewer.renderer.xr.isPresenting) {
             return viewer;
         }
     }
@@ -102,6 +575,223 @@ function isAnyViewerInAR() {
     return getActiveARViewer() !== null;
 }
 
+function createWebGLRenderer() {
+    // Performance optimization: antialias should be false for splat rendering
+    // (Spark.js docs: "Rendering splats doesn't benefit from multisampling")
+    return new window.THREE.WebGLRenderer({
+        antialias: false,
+        alpha: true // For AR transparency
+    });
+}
+
+// One WebGL context for all viewers with the shared-renderer attribute (browsers cap the number
+// of live contexts, and each context would hold its own copy of Spark's GPU buffers)
+let sharedRenderer = null;
+const sharedRendererUsers = new Set();
+// Animation loop of each shared viewer; the renderer has a single loop that runs them all
+const sharedRendererLoops = new Map();
+
+function acquireSharedRenderer(viewer) {
+    if (!sharedRenderer) {
+        sharedRenderer = createWebGLRenderer();
+        sharedRenderer.setPixelRatio(window.devicePixelRatio);
+        sharedRenderer.setSize(1, 1, false);
+    }
+    sharedRendererUsers.add(viewer);
+    return sharedRenderer;
+}
+
+function releaseSharedRenderer(viewer) {
+    setSharedRendererLoop(viewer, null);
+    sharedRendererUsers.delete(viewer);
+    if (sharedRendererUsers.size === 0 && sharedRenderer) {
+        sharedRenderer.dispose();
+        sharedRenderer = null;
+    }
+}
+
+function runSharedRendererLoops(time, frame) {
+    // Copy first: entering or leaving AR swaps a viewer's loop from inside it
+    for (const loop of Array.from(sharedRendererLoops.values())) {
+        loop(time, frame);
+    }
+}
+
+function setSharedRendererLoop(viewer, loop) {
+    if (loop) {
+        sharedRendererLoops.set(viewer, loop);
+    } else {
+        sharedRendererLoops.delete(viewer);
+    }
+    if (sharedRenderer) {
+        sharedRenderer.setAnimationLoop(sharedRendererLoops.size > 0 ? runSharedRendererLoops : null);
+    }
+}
+
+// One signal that aborts when any of the given signals does (AbortSignal.any() is not available everywhere)
+function combineAbortSignals(...signals) {
+    const active = signals.filter(Boolean);
+    if (active.length <= 1) return active[0];
+    const controller = new AbortController();
+    for (const signal of active) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+}
+
+// Download a splat file with a streamed reader so byte-level progress can be reported
+// onProgress(loaded, total) is called per chunk; total is 0 when Content-Length is unknown
+// signal is the caller's abort; timeoutSignal fires on load-timeout
+async function fetchSplatBytes(url, { onProgress, signal, timeoutSignal, cache } = {}) {
+    if (cache === 'persistent' && typeof caches !== 'undefined') {
+        return fetchCachedSplatBytes(url, { onProgress, signal, timeoutSignal });
+    }
+
+    const response = await fetch(url, { signal: combineAbortSignals(signal, timeoutSignal) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+    return readResponseBytes(response, onProgress);
+}
+
+// Read a response body into a single buffer, reporting progress per chunk
+async function readResponseBytes(response, onProgress) {
+    // Content-Length is the compressed size when Content-Encoding is set, so it can't be used as total
+    const encoded = response.headers.get('Content-Encoding');
+    const total = encoded ? 0 : parseInt(response.headers.get('Content-Length') || '0', 10) || 0;
+
+    // Fallback for environments without streaming bodies
+    if (!response.body || !response.body.getReader) {
+        const buffer = new Uint8Array(await response.arrayBuffer());
+        if (onProgress) onProgress(buffer.byteLength, buffer.byteLength);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    if (onProgress) onProgress(0, total);
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        if (onProgress) onProgress(loaded, total);
+    }
+
+    // Join chunks into a single buffer for Spark
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return bytes;
+}
+
+// Cache Storage bucket for cache="persistent" - bump the version if the stored format changes
+const SPLAT_CACHE_NAME = 'splat-viewer-v1';
+
+/**
+ * Fetch splat bytes through Cache Storage (cache="persistent")
+ * Entries are keyed by URL and revalidated with their ETag / Last-Modified (entries without either
+ * are downloaded again whenever the network answers); when the network is unavailable or load-timeout
+ * fires, the cached copy is used as-is. Only the caller's own abort skips it.
+ */
+async function fetchCachedSplatBytes(url, { onProgress, signal, timeoutSignal } = {}) {
+    const cache = await caches.open(SPLAT_CACHE_NAME);
+    const cached = await cache.match(url);
+    const etag = cached ? cached.headers.get('ETag') : null;
+    const lastModified = cached ? cached.headers.get('Last-Modified') : null;
+
+    const readCached = async () => {
+        const bytes = new Uint8Array(await cached.arrayBuffer());
+        if (onProgress) onProgress(bytes.byteLength, bytes.byteLength);
+        return bytes;
+    };
+
+    // If-None-Match / If-Modified-Since are not CORS-safelisted, so cross-origin requests get a preflight
+    const conditionalHeaders = {};
+    if (etag) conditionalHeaders['If-None-Match'] = etag;
+    if (lastModified) conditionalHeaders['If-Modified-Since'] = lastModified;
+    const isConditional = Object.keys(conditionalHeaders).length > 0;
+
+    // Bypass the HTTP cache so a changed file is always seen
+    const requestSignal = combineAbortSignals(signal, timeoutSignal);
+    const request = (headers) => fetch(url, { signal: requestSignal, cache: 'no-store', headers });
+
+    // A hanging network (e.g. behind a captive portal) ends in load-timeout - the stored copy stands in
+    const fallBackToCached = (error) => {
+        if (!cached || (signal && signal.aborted)) throw error;
+        const reason = timeoutSignal && timeoutSignal.aborted ? 'network timed out' : 'network unavailable';
+        console.warn(`SplatViewer: ${reason}, using cached splat:`, url);
+        return readCached();
+    };
+
+    let response;
+    try {
+        try {
+            response = await request(isConditional ? conditionalHeaders : undefined);
+        } catch (error) {
+            // A server that rejects the preflight fails the conditional request - retry as a plain fetch
+            if (!isConditional || (requestSignal && requestSignal.aborted)) throw error;
+            response = await request(undefined);
+        }
+    } catch (error) {
+        return fallBackToCached(error);
+    }
+
+    if (response.status === 304 && cached) {
+        return readCached();
+    }
+    if (!response.ok) {
+        // Server errors should not make an already cached splat unusable
+        if (cached) {
+            console.warn(`SplatViewer: HTTP ${response.status} for ${url}, using cached splat`);
+            return readCached();
+        }
+        throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+
+    // A plain fetch (preflight fallback, or a server ignoring the conditional headers) of an unchanged file
+    const newEtag = response.headers.get('ETag');
+    const newLastModified = response.headers.get('Last-Modified');
+    const unchanged = etag && newEtag
+        ? newEtag === etag
+        : !!(lastModified && newLastModified === lastModified);
+    if (cached && unchanged) {
+        if (response.body) response.body.cancel().catch(() => {});
+        return readCached();
+    }
+
+    let bytes;
+    try {
+        bytes = await readResponseBytes(response, onProgress);
+    } catch (error) {
+        return fallBackToCached(error);
+    }
+
+    const headers = {
+        'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+        // Lets getCacheInfo() size entries without reading their bodies
+        'Content-Length': String(bytes.byteLength)
+    };
+    if (newEtag) headers.ETag = newEtag;
+    if (newLastModified) headers['Last-Modified'] = newLastModified;
+    try {
+        await cache.put(url, new Response(bytes, { headers }));
+    } catch (error) {
+        // Usually QuotaExceededError - the splat still loads, it just isn't cached
+        console.warn('SplatViewer: could not cache splat:', url, error);
+    }
+    return bytes;
+}
+
 // Check if a container is visible in the viewport
 function isContainerVisible(container) {
     if (!container) return false;
@@ -125,6 +815,50 @@ function isContainerVisible(container) {
 }
 
 export class SplatViewer {
+    /**
+     * Delete every splat stored by cache="persistent"
+     * @returns {Promise<boolean>} - true if a cache existed and was deleted
+     */
+    static async clearCache() {
+        if (typeof caches === 'undefined') return false;
+        return caches.delete(SPLAT_CACHE_NAME);
+    }
+
+    /**
+     * Report what cache="persistent" is using and how much the origin may store
+     * @returns {Promise<{entries: number, bytes: number, usage: number|null, quota: number|null, persisted: boolean}>}
+     */
+    static async getCacheInfo() {
+        const info = { entries: 0, bytes: 0, usage: null, quota: null, persisted: false };
+
+        if (typeof caches !== 'undefined' && await caches.has(SPLAT_CACHE_NAME)) {
+            const cache = await caches.open(SPLAT_CACHE_NAME);
+            const requests = await cache.keys();
+            info.entries = requests.length;
+            for (const request of requests) {
+                // Sized from the Content-Length stored with each entry - the splat bodies are not read
+                const response = await cache.match(request);
+                if (response) {
+                    info.bytes += parseInt(response.headers.get('Content-Length') || '0', 10) || 0;
+                }
+            }
+        }
+
+        // Origin-wide numbers (includes other storage on the same origin)
+        if (navigator.storage) {
+            if (navigator.storage.estimate) {
+                const estimate = await navigator.storage.estimate();
+                info.usage = estimate.usage ?? null;
+                info.quota = estimate.quota ?? null;
+            }
+            if (navigator.storage.persisted) {
+                info.persisted = await navigator.storage.persisted();
+            }
+        }
+
+        return info;
+    }
+
     constructor(container, options = {}) {
         this.container = container;
         this.viewer = null;
@@ -136,6 +870,7 @@ export class SplatViewer {
             showFPS: options.showFPS === true || options.showFPS === 'true',
             minScale: options.minScale !== undefined ? options.minScale : 0.1,
             maxScale: options.maxScale !== undefined ? options.maxScale : 5.0,
+            loadTimeout: options.loadTimeout !== undefined ? options.loadTimeout : 60000,
             ...options
         };
         this.stats = null; // Stats.js instance for FPS monitoring
@@ -169,7 +904,7 @@ export class SplatViewer {
         this.arTapHandler = null; // Tap event handler for cleanup
         this.desktopAnimationLoop = null; // Store the original desktop animation loop
         this.arTransformControls = null; // Transform controls for AR mode (move, rotate, scale)
-        this.arTransformMode = 'translate'; // Current transform mode: 'translate', 'rotate', 'scale'
+        this.arTransformMode = AR_TRANSFORM_MODES.includes(this.options.arTransformMode) ? this.options.arTransformMode : 'translate'; // Current transform mode: 'translate', 'rotate', 'scale'
         this.xrInputSources = []; // Track active XR input sources
         this.xrInputStartPositions = []; // Track start positions for XR input gestures
         this._lastActiveCount = 0; // Track active input count for debug logging
@@ -190,6 +925,59 @@ export class SplatViewer {
         this.floorTrackingLogInterval = 0; // Counter for throttled logging
         this._splatFirstRenderComplete = false; // Flag to track when splat first renders
         this.arSupported = false; // Track AR support status
+        this.loadAbortController = null; // Cancels the in-flight loadSplat() when a new one starts
+        this.layers = new Map(); // Extra splats from <splat-layer> children, keyed by layer id
+        this.splatGroup = null; // Holds the main splat and its layers - AR placement and gestures move it
+        this.dropHandlers = null; // Drag-and-drop listeners when drop-target is enabled
+        this.vrSession = null; // Active immersive-vr session
+        this.vrRig = null; // Group holding the camera in VR - locomotion moves the rig, the headset moves the camera
+        this.vrControls = null; // Spark SparkControls (gamepad/thumbstick locomotion), reused across sessions
+        this.vrHands = null; // Spark XrHands + HandMovement for hand-tracking locomotion
+        this.preVRCameraState = null; // Desktop camera pose restored when VR ends
+        this.cameraTransition = null; // Running animateCamera() transition, advanced by the desktop loop
+        this.viewpointButtons = null; // Overlay container for viewpoint thumbnail buttons
+        this.captureButton = null; // Overlay button that downloads captureImage() output
+        this._recordingTurntable = false; // Only one recordTurntable() at a time
+        this._captureDepth = 0; // Running captures - the live loop stays stopped while > 0
+        this._sparkRenderer = null; // Cached SparkRenderer found by getSparkRenderer()
+        this._userInteracting = false; // Pointer/touch currently down on the canvas (pauses auto-rotate)
+        this._canvasInputTracked = false; // setupCanvasInputTracking() listeners registered
+        this._lastUserInput = -Infinity; // performance.now() of the last canvas input
+        this._lastAutoRotateTime = null; // Previous desktop frame time for auto-rotate speed
+        this.framingLimits = null; // OrbitControls min/max distance chosen by frameSplat()
+        this._cameraGroundHeight = null; // Splat floor height for camera-ground (world Y)
+        this._urlStateRestored = false; // sync-url: hash state applied, safe to start writing it
+        this._urlSyncTimeout = null; // Debounce timer for writeURLState()
+        this._urlLayerVisibility = null; // sync-url: layer visibility from the hash, for layers added later
+        this._onHashChange = null; // window hashchange listener (pasted deep links)
+        this._lastFlyPose = null; // Camera pose last seen by updateFlyControls() (sync-url writes on change)
+        this.backgroundMesh = null; // Full-screen backdrop for background / skybox-src
+        this.canvas = null; // Canvas shown in the container (the renderer's own, or a 2D copy target with shared-renderer)
+        this._usesSharedRenderer = false; // shared-renderer as read by init() - later option changes are ignored
+        this._canvasContext = null; // 2D context of canvas with shared-renderer
+        this._syncGroup = null; // sync-group this viewer belongs to (see syncGroups)
+        this._syncPending = false; // Adopt the group leader's camera on the next frame
+        this._lastSyncState = null; // Camera state last sent to the group, as numbers
+        this._splatCrossFade = null; // { preview, start } while the full splat fades in over its preview
+        this._pendingSplatSwap = null; // Full splat waiting for AR placement to finish before replacing the preview
+        this._displayedSplatSrc = null; // URL of the main splat on screen (null for files and buffers)
+        this._qualityLevel = getInitialQualityLevel(this.options.quality); // 0 (low) to 2 (high), see QUALITY_PRESETS
+        this._qualityGovernor = null; // quality="auto" frame timing for the current render loop
+        this._renderRequested = true; // render-mode="on-demand": render on the next frame
+        this._renderSettleFrames = 0; // Extra frames still to render after the last change
+        this._lastRenderedView = null; // Camera matrices of the last on-demand render
+        this.contactShadow = null; // Floor plane with the splat's blurred footprint (shadow-intensity)
+        this._shadowFootprint = null; // Footprint grid and the splat pose it was computed for
+        this._backgroundTexture = null; // Gradient or skybox texture used by backgroundMesh
+        this._skyboxRequest = 0; // Ignores skybox loads that were superseded
+        this.flyControls = null; // Spark SparkControls for controls="fly" / "fps" (created on first use)
+        this._controlsMode = CONTROLS_MODES.includes(this.options.controls) ? this.options.controls : 'orbit'; // Desktop navigation mode in use
+        this._onPointerLockMove = null; // document mousemove handler for controls="fps"
+        this.hotspots = []; // <splat-hotspot> overlays projected from splat-local coordinates every frame
+        this._hotspotOcclusionIndex = 0; // Round-robin cursor for throttled occlusion raycasts
+        this._hotspotOcclusionTime = 0; // Last occlusion raycast time (ms)
+        this._hotspotRefreshPending = false; // Batches <splat-hotspot> changes made in the same task
+        this._movingHotspots = false; // Set while hotspots are moved into/out of the AR overlay
     }
 
     async init() {
@@ -244,15 +1032,19 @@ export class SplatViewer {
             // Create renderer
             // Performance optimization: antialias should be false for splat rendering
             // (Spark.js docs: "Rendering splats doesn't benefit from multisampling")
-            this.renderer = new window.THREE.WebGLRenderer({ 
-                antialias: false,
-                alpha: true // For AR transparency
-            });
-            this.renderer.setSize(width, height);
-            // Performance optimization: Consider if high DPI rendering is needed
-            // For scenes with mostly splats, may want to use 1 instead of devicePixelRatio
-            // Using devicePixelRatio for now, but can be optimized per use case
-            this.renderer.setPixelRatio(window.devicePixelRatio);
+            // With shared-renderer, all opted-in viewers draw through one WebGL context and
+            // copy the result into their own 2D canvas
+            this._usesSharedRenderer = !!this.options.sharedRenderer;
+            if (this._usesSharedRenderer) {
+                this.renderer = acquireSharedRenderer(this);
+                this.canvas = document.createElement('canvas');
+                this._canvasContext = this.canvas.getContext('2d');
+            } else {
+                this.renderer = createWebGLRenderer();
+                this.canvas = this.renderer.domElement;
+            }
+            // The pixel ratio comes from the quality level (device pixel ratio at quality="high")
+            this.setRendererSize(width, height);
             
             // Enable WebXR if needed
             if (this.options.enableAR) {
@@ -260,7 +1052,7 @@ export class SplatViewer {
             }
             
             // Add canvas to container
-            this.container.appendChild(this.renderer.domElement);
+            this.container.appendChild(this.canvas);
             
             // Handle window resize (but not during AR mode)
             window.addEventListener('resize', () => {
@@ -273,7 +1065,7 @@ export class SplatViewer {
                 const newHeight = this.container.clientHeight || window.innerHeight;
                 this.camera.aspect = newWidth / newHeight;
                 this.camera.updateProjectionMatrix();
-                this.renderer.setSize(newWidth, newHeight);
+                this.setRendererSize(newWidth, newHeight);
             });
             
             // Create compatibility shim for this.viewer (will be removed in Phase 6)
@@ -283,10 +1075,20 @@ export class SplatViewer {
                 threeScene: this.scene,
                 splatMesh: null // Will be set when splat is loaded
             };
+
+            // The main splat and its layers share one group, so placing the splat in AR moves
+            // the layers too while each keeps its own transform inside the group
+            this.splatGroup = new window.THREE.Group();
+            this.scene.add(this.splatGroup);
+            // Attach layers that finished loading before the scene existed
+            this.layers.forEach((layer) => this.attachLayer(layer));
             
             // Apply camera transform after setup
             this.applyCameraTransform();
 
+            // Draw the configured background behind the splat (transparent by default)
+            this.updateBackground();
+
             // Initialize FPS stats if enabled
             if (this.options.showFPS) {
                 this.initStats();
@@ -294,6 +1096,9 @@ export class SplatViewer {
 
             // Register this viewer in the global registry
             activeViewers.add(this);
+
+            // sync-group: link this camera with the other viewers in the group
+            this.joinSyncGroup(this.options.syncGroup);
             
             // Setup visibility observer to pause rendering when not visible
             this.setupVisibilityObserver();
@@ -311,9 +1116,36 @@ export class SplatViewer {
             // Setup WebXR button
             this.setupWebXRButton();
 
+            // Ask the browser not to evict cached splats under storage pressure (kiosks run offline)
+            if (this.options.cache === 'persistent' && navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+
+            // Accept dropped splat files if enabled
+            if (this.options.dropTarget) {
+                this.setupDropTarget();
+            }
+
+            // sync-url: follow deep links pasted into the address bar of an open page
+            this._onHashChange = () => {
+                if (this.options.syncUrl && this._urlStateRestored) this.restoreURLState();
+            };
+            window.addEventListener('hashchange', this._onHashChange);
+
             // Load splat file if provided
             if (this.options.splatFile) {
-                await this.loadSplat(this.options.splatFile);
+                try {
+                    await this.loadSplat(this.options.splatFile);
+                } catch (error) {
+                    // A splat-src change during init() supersedes the initial load - not an init failure
+                    if (!(error instanceof SplatLoadError && error.type === 'aborted')) {
+                        throw error;
+                    }
+                }
+            } else if (this.layers.size > 0) {
+                // A scene of <splat-layer> children only: the layers need no main splat
+                this.setupOrbitControls();
+                this.applyCameraTransform();
             } else {
                 this.updateStatus('Error: No splat file specified. Please provide a splat-src attribute.');
                 console.error('SplatViewer: No splat file specified. Please provide a splat-src attribute.');
@@ -323,6 +1155,7 @@ export class SplatViewer {
         } catch (error) {
             console.error('Initialization error:', error);
             this.updateStatus('Error initializing viewer: ' + error.message);
+            this.dispatchErrorEvent(error, 'init');
             throw error;
         }
     }
@@ -380,13 +1213,14 @@ export class SplatViewer {
         
         // Determine which transform to use based on mode
         let transform = this.options.transform || null;
-        const isAR = this.viewer.renderer && this.viewer.renderer.xr && this.viewer.renderer.xr.isPresenting;
-        const isVR = false; // Can be detected if needed
+        const isPresenting = this.viewer.renderer && this.viewer.renderer.xr && this.viewer.renderer.xr.isPresenting;
+        const isVR = isPresenting && !!this.vrSession;
+        const isAR = isPresenting && !isVR;
         
-        if (mode === 'ar' || (isAR && this.options.transformAr)) {
-            transform = this.options.transformAr || transform;
-        } else if (mode === 'vr' || (isVR && this.options.transformVr)) {
+        if (mode === 'vr' || (mode !== 'ar' && isVR && this.options.transformVr)) {
             transform = this.options.transformVr || transform;
+        } else if (mode === 'ar' || (isAR && this.options.transformAr)) {
+            transform = this.options.transformAr || transform;
         } else {
             transform = this.options.transform || null;
         }
@@ -439,6 +1273,7 @@ export class SplatViewer {
         // Force matrix update
         mesh.updateMatrix();
         mesh.updateMatrixWorld(true);
+        this.requestRender();
     }
 
     applyTransforms() {
@@ -541,7 +1376,7 @@ export class SplatViewer {
         
         // Pause the animation loop
         if (this.renderer) {
-            this.renderer.setAnimationLoop(null);
+            this.setAnimationLoop(null);
         }
         
         console.log('Viewer paused (not visible or another viewer in AR)');
@@ -561,10 +1396,11 @@ export class SplatViewer {
         }
         
         this._isPaused = false;
+        this.requestRender();
         
         // Resume the animation loop
         if (this.desktopAnimationLoop && this.renderer) {
-            this.renderer.setAnimationLoop(this.desktopAnimationLoop);
+            this.setAnimationLoop(this.desktopAnimationLoop);
         }
         
         console.log('Viewer resumed');
@@ -584,6 +1420,11 @@ export class SplatViewer {
             if (this._isPaused) {
                 return;
             }
+
+            // A capture owns the splat sort until it finishes
+            if (this._captureDepth > 0) {
+                return;
+            }
             
             // Performance optimization: Skip rendering if another viewer is in AR
             const activeARViewer = getActiveARViewer();
@@ -601,19 +1442,61 @@ export class SplatViewer {
                 this.stats.begin();
             }
             
+            // Advance a running viewpoint transition before OrbitControls reads the camera
+            if (this.cameraTransition) {
+                this.updateCameraTransition(performance.now());
+            }
+
             // Update OrbitControls for desktop mode (not in AR)
             if (this.orbitControls && this.orbitControls.enabled) {
-                this.orbitControls.update();
+                this.orbitControls.update(this.updateAutoRotate(performance.now()));
+            } else if (this.flyControls && this._controlsMode !== 'orbit' && !this.cameraTransition) {
+                this.updateFlyControls();
+            }
+
+            // Pan bounds and the ground are not covered by OrbitControls' own limits
+            if (!this.cameraTransition) {
+                const target = this._controlsMode === 'orbit' && this.orbitControls ? this.orbitControls.target : null;
+                this.constrainCamera(this.camera.position, target);
+                // OrbitControls aimed the camera before the clamp moved it - aim again at the target
+                if (target) this.camera.lookAt(target);
+            }
+
+            // sync-group: share this camera with the group, or adopt the leader's
+            this.updateSyncGroup();
+
+            // splat-preview-src: fade the full splat in over its preview
+            this.updateSplatCrossFade(performance.now());
+
+            // Keep the contact shadow under the splat
+            this.updateContactShadow();
+
+            // render-mode="on-demand": leave the last frame on the canvas while nothing changes
+            if (this.options.renderMode === 'on-demand' && !this.needsRender()) {
+                // Close the frame measurement begun above so the FPS panel keeps updating
+                if (this.stats) {
+                    this.stats.end();
+                }
+                return;
             }
 
             // Render scene (only in desktop mode)
-            this.renderer.render(this.scene, this.camera);
+            this.renderView();
+
+            // quality="auto": adjust to the measured frame rate
+            this.updateQualityGovernor(performance.now(), 'desktop');
+
+            // Position hotspot overlays for the frame just rendered
+            this.updateHotspots();
             
             // Check if splat has been rendered for the first time
             if (!this._splatFirstRenderComplete && this.splatMesh && this.splatMesh.visible) {
                 // Wait one more frame to ensure the render is complete
                 requestAnimationFrame(() => {
+                    // Several frames can schedule this callback before the flag flips
+                    if (this._splatFirstRenderComplete) return;
                     this._splatFirstRenderComplete = true;
+                    this.dispatchViewerEvent('first-render', { src: this.splatSource });
                     // Check if AR is supported and show appropriate message
                     if (this.arSupported) {
                         this.updateStatus('Gaussian splat loaded successfully!');
@@ -634,7 +1517,7 @@ export class SplatViewer {
         };
 
         // Set animation loop
-        this.renderer.setAnimationLoop(animate);
+        this.setAnimationLoop(animate);
         
         // Store for restoration when exiting AR
         this.desktopAnimationLoop = animate;
@@ -642,14 +1525,354 @@ export class SplatViewer {
         console.log('Animation loop setup complete');
     }
     
-    initStats() {
+    /**
+     * Set this viewer's animation loop (null stops it)
+     * With shared-renderer, the loop joins the other viewers' loops on the shared renderer
+     * instead of replacing them
+     */
+    setAnimationLoop(loop) {
+        if (!this.renderer) return;
+        if (this._usesSharedRenderer) {
+            setSharedRendererLoop(this, loop);
+        } else {
+            this.renderer.setAnimationLoop(loop);
+        }
+    }
+
+    /**
+     * Resize the viewer's canvas (CSS pixels, drawn at the pixel ratio of the current quality level)
+     */
+    setRendererSize(width, height) {
+        const pixelRatio = getQualitySettings(this._qualityLevel).pixelRatio;
+        if (this._usesSharedRenderer) {
+            this.canvas.width = Math.max(1, Math.floor(width * pixelRatio));
+            this.canvas.height = Math.max(1, Math.floor(height * pixelRatio));
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+        } else {
+            this.renderer.setSize(width, height);
+            this.renderer.setPixelRatio(pixelRatio);
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Render the desktop view into this viewer's canvas
+     * With shared-renderer, the scene is drawn into the bottom-left corner of the shared
+     * drawing buffer (viewport and scissor) and copied into the viewer's own canvas
+     */
+    renderView() {
+        const renderer = this.renderer;
+        if (!this._usesSharedRenderer) {
+            renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        // Another viewer owns the shared renderer's AR or VR session
+        if (renderer.xr.isPresenting) return;
+
+        const { width, height } = this.canvas;
+        const pixelRatio = renderer.getPixelRatio();
+        const size = renderer.getSize(new window.THREE.Vector2());
+
+        // Only grow the shared drawing buffer: resizing it for every viewer each frame reallocates it
+        if (size.x * pixelRatio < width || size.y * pixelRatio < height) {
+            size.set(Math.max(size.x, Math.ceil(width / pixelRatio)), Math.max(size.y, Math.ceil(height / pixelRatio)));
+            renderer.setSize(size.x, size.y, false);
+        }
+
+        // Spark sizes splats from the drawing buffer; report this viewer's part of it
+        const getDrawingBufferSize = renderer.getDrawingBufferSize;
+        renderer.getDrawingBufferSize = (target) => target.set(width, height);
+        renderer.setViewport(0, 0, width / pixelRatio, height / pixelRatio);
+        renderer.setScissor(0, 0, width / pixelRatio, height / pixelRatio);
+        renderer.setScissorTest(true);
         try {
-            if (!Stats) {
-                console.warn('Stats.js not available');
-                return;
-            }
-            
-            console.log('Initializing Stats.js...', { Stats, container: this.container });
+            renderer.render(this.scene, this.camera);
+        } finally {
+            renderer.getDrawingBufferSize = getDrawingBufferSize;
+            renderer.setScissorTest(false);
+            renderer.setViewport(0, 0, size.x, size.y);
+        }
+
+        // The WebGL canvas has a bottom-left origin; the copy must happen before the browser composites
+        const source = renderer.domElement;
+        this._canvasContext.clearRect(0, 0, width, height);
+        this._canvasContext.drawImage(source, 0, source.height - height, width, height, 0, 0, width, height);
+    }
+
+    /**
+     * Apply the current quality level: canvas pixel ratio (outside AR/VR) and Spark settings
+     */
+    applyQuality() {
+        if (this.renderer && this.container && !this.renderer.xr.isPresenting) {
+            const width = this.container.clientWidth || window.innerWidth;
+            const height = this.container.clientHeight || window.innerHeight;
+            if (width > 0 && height > 0) {
+                this.setRendererSize(width, height);
+            }
+        }
+        this.applySparkQuality();
+    }
+
+    /**
+     * Apply the current quality level's splat settings to the scene's SparkRenderer
+     */
+    applySparkQuality() {
+        const spark = this.getSparkRenderer();
+        if (!spark) return;
+        const settings = getQualitySettings(this._qualityLevel);
+        spark.maxStdDev = settings.maxStdDev;
+        spark.minPixelRadius = settings.minPixelRadius;
+        spark.minAlpha = settings.minAlpha;
+        this.requestRender();
+    }
+
+    /**
+     * quality="auto": measure the frame rate of the running loop and step the quality level
+     * down when it misses target-fps, or back up after it has been on target for a while
+     * Frame times are the intervals between rendered frames (what Stats shows as FPS)
+     * @param {number} now - performance.now() after the frame was rendered
+     * @param {'desktop'|'ar'} policyName - Render loop, see QUALITY_POLICIES
+     */
+    updateQualityGovernor(now, policyName) {
+        if (this.options.quality !== 'auto') return;
+        const policy = QUALITY_POLICIES[policyName];
+
+        let state = this._qualityGovernor;
+        if (!state || state.policy !== policyName) {
+            // Entering or leaving AR starts a new measurement
+            state = this._qualityGovernor = { policy: policyName, lastFrame: now, frames: 0, time: 0, onTarget: 0, raiseAfter: policy.raiseAfter };
+            return;
+        }
+
+        const interval = now - state.lastFrame;
+        state.lastFrame = now;
+        // Gaps (paused, hidden tab, idle render-mode="on-demand") say nothing about rendering speed
+        if (!(interval > 0) || interval > 250) return;
+
+        state.frames++;
+        state.time += interval;
+        if (state.time < policy.window) return;
+
+        const fps = state.frames * 1000 / state.time;
+        const elapsed = state.time;
+        state.frames = 0;
+        state.time = 0;
+
+        // In AR the display rate is the session's; don't ask for more than the headset or phone shows
+        const session = this.renderer && this.renderer.xr.getSession();
+        const targetFps = policyName === 'ar' && session && session.frameRate
+            ? Math.min(this.options.targetFps || 60, session.frameRate)
+            : this.options.targetFps || 60;
+
+        let level = this._qualityLevel;
+        if (fps < targetFps * 0.9) {
+            level = Math.max(0, level - policy.stepDown);
+            // Stepping down right after stepping up means the higher level is too slow; wait longer next time
+            if (state.onTarget === 0 && state.raised) state.raiseAfter = Math.min(state.raiseAfter * 2, 60000);
+            state.onTarget = 0;
+            state.raised = false;
+        } else if (fps >= targetFps * 0.97) {
+            state.onTarget += elapsed;
+            if (state.onTarget >= state.raiseAfter) {
+                level = Math.min(QUALITY_LEVELS.length - 1, level + policy.stepUp);
+                state.onTarget = 0;
+                state.raised = level !== this._qualityLevel;
+            }
+        } else {
+            state.onTarget = 0;
+        }
+
+        if (level !== this._qualityLevel) {
+            this._qualityLevel = level;
+            if (policy.pixelRatio) {
+                this.applyQuality();
+            } else {
+                this.applySparkQuality();
+            }
+            this.dispatchViewerEvent('quality-change', { level, fps: Math.round(fps), ...getQualitySettings(level) });
+        }
+    }
+
+    /**
+     * Join a sync-group (leaving the current one); null or '' only leaves
+     * The first member leads; later members adopt the leader's camera
+     */
+    joinSyncGroup(name) {
+        this.leaveSyncGroup();
+        if (!name) return;
+
+        let group = syncGroups.get(name);
+        if (!group) {
+            group = { name, members: new Set(), leader: null };
+            syncGroups.set(name, group);
+        }
+        group.members.add(this);
+        if (!group.leader) group.leader = this;
+        this._syncGroup = group;
+        this._syncPending = true;
+        this._lastSyncState = null;
+    }
+
+    leaveSyncGroup() {
+        const group = this._syncGroup;
+        if (!group) return;
+        this._syncGroup = null;
+        group.members.delete(this);
+        if (group.leader === this) {
+            group.leader = group.members.values().next().value || null;
+        }
+        if (group.members.size === 0) {
+            syncGroups.delete(group.name);
+        }
+    }
+
+    /**
+     * Make this viewer the one the rest of its sync-group follows
+     */
+    takeSyncLead() {
+        if (this._syncGroup && this._syncGroup.leader !== this) {
+            this._syncGroup.leader = this;
+            this._lastSyncState = null;
+        }
+    }
+
+    /**
+     * Desktop camera in the main splat's own coordinates (before its transform-* attributes),
+     * so viewers with differently placed, turned or scaled splats see them the same way
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3, fov: number, zoom: number}|null}
+     */
+    getSyncCameraState() {
+        if (!this.camera || !window.THREE) return null;
+        const THREE = window.THREE;
+
+        let target;
+        if (this._controlsMode === 'orbit' && this.orbitControls) {
+            target = this.orbitControls.target.clone();
+        } else {
+            // Fly and fps modes have no target: use a point straight ahead at the orbit distance
+            target = new THREE.Vector3(0, 0, -(this._orbitDistance || 1))
+                .applyQuaternion(this.camera.quaternion)
+                .add(this.camera.position);
+        }
+
+        const toLocal = new THREE.Matrix4();
+        if (this.splatMesh) {
+            this.splatMesh.updateWorldMatrix(true, false);
+            toLocal.copy(this.splatMesh.matrixWorld).invert();
+        }
+        return {
+            position: this.camera.position.clone().applyMatrix4(toLocal),
+            target: target.applyMatrix4(toLocal),
+            fov: this.camera.fov,
+            zoom: this.camera.zoom
+        };
+    }
+
+    /**
+     * Move this viewer's camera to a sync-group state from getSyncCameraState()
+     */
+    applySyncedCamera(state) {
+        if (!state || !this.camera || !this.renderer || this.renderer.xr.isPresenting) return;
+
+        // The leader moved: it takes over from any transition running here
+        this.cancelCameraTransition();
+
+        const toWorld = this.splatMesh ? this.splatMesh.matrixWorld : new window.THREE.Matrix4();
+        const target = state.target.clone().applyMatrix4(toWorld);
+        this.camera.position.copy(state.position).applyMatrix4(toWorld);
+        if (this.camera.fov !== state.fov || this.camera.zoom !== state.zoom) {
+            this.camera.fov = state.fov;
+            this.camera.zoom = state.zoom;
+            this.camera.updateProjectionMatrix();
+        }
+        this.camera.lookAt(target);
+        if (this.orbitControls) {
+            this.orbitControls.target.copy(target);
+        }
+        this.requestRender();
+    }
+
+    /**
+     * sync-group, called every desktop frame: the leader sends its camera to the other
+     * members when it moved; a member that just joined or loaded adopts the leader's camera
+     */
+    updateSyncGroup() {
+        const group = this._syncGroup;
+        if (!group || group.members.size < 2 || !group.leader) return;
+
+        if (group.leader !== this) {
+            if (this._syncPending) {
+                this._syncPending = false;
+                this.applySyncedCamera(group.leader.getSyncCameraState());
+            }
+            return;
+        }
+        this._syncPending = false;
+
+        const state = this.getSyncCameraState();
+        if (!state) return;
+        const values = [...state.position.toArray(), ...state.target.toArray(), state.fov, state.zoom];
+        if (this._lastSyncState && values.every((value, i) => value === this._lastSyncState[i])) return;
+        this._lastSyncState = values;
+
+        group.members.forEach((member) => {
+            if (member !== this) member.applySyncedCamera(state);
+        });
+    }
+
+    /**
+     * Ask for a new frame in render-mode="on-demand"
+     * The viewer already does this for camera movement, option and transform changes, layers,
+     * resizes and splat loads; call it after changing the scene from script
+     */
+    requestRender() {
+        this._renderRequested = true;
+    }
+
+    /**
+     * Decide whether the on-demand desktop loop renders this frame
+     * Any change renders, then a few more frames settle once Spark has re-sorted the splats
+     * for the new view (the frame drawn right after a camera move still uses the old order)
+     */
+    needsRender() {
+        this.camera.updateMatrixWorld();
+        const view = [...this.camera.matrixWorld.elements, ...this.camera.projectionMatrix.elements];
+        const viewChanged = !this._lastRenderedView ||
+            view.some((value, i) => value !== this._lastRenderedView[i]);
+
+        // initialized is Spark's promise - isInitialized is the flag
+        const loading = this.splatMesh && !this.splatMesh.isInitialized;
+        if (this._renderRequested || viewChanged || this.cameraTransition || this._splatCrossFade || loading) {
+            this._renderRequested = false;
+            this._lastRenderedView = view;
+            this._renderSettleFrames = RENDER_SETTLE_FRAMES;
+            return true;
+        }
+
+        // Keep going while the sort for the last view is in flight
+        const spark = this.getSparkRenderer();
+        if (spark && spark.viewpoint && (spark.viewpoint.sorting || spark.viewpoint.pending)) {
+            this._renderSettleFrames = RENDER_SETTLE_FRAMES;
+            return true;
+        }
+
+        if (this._renderSettleFrames > 0) {
+            this._renderSettleFrames--;
+            return true;
+        }
+        return false;
+    }
+
+    initStats() {
+        try {
+            if (!Stats) {
+                console.warn('Stats.js not available');
+                return;
+            }
+            
+            console.log('Initializing Stats.js...', { Stats, container: this.container });
             this.stats = new Stats();
             this.stats.showPanel(0); // 0: FPS, 1: MS, 2: MB
             
@@ -689,6 +1912,16 @@ export class SplatViewer {
         }
     }
 
+    disposeStats() {
+        if (!this.stats) return;
+
+        // Stats may live in the splat-viewer element or in ar-overlay (AR mode)
+        if (this.stats.dom && this.stats.dom.parentNode) {
+            this.stats.dom.parentNode.removeChild(this.stats.dom);
+        }
+        this.stats = null;
+    }
+
     setupOrbitControls() {
         if (!this.renderer || !this.camera || !window.OrbitControls) return;
         
@@ -708,7 +1941,7 @@ export class SplatViewer {
         }
 
         // Create OrbitControls
-        this.orbitControls = new window.OrbitControls(this.camera, this.renderer.domElement);
+        this.orbitControls = new window.OrbitControls(this.camera, this.canvas);
         this.orbitControls.enableDamping = true;
         this.orbitControls.dampingFactor = 0.05;
         this.orbitControls.screenSpacePanning = true;
@@ -716,6 +1949,21 @@ export class SplatViewer {
         this.orbitControls.maxDistance = 100;
         this.orbitControls.maxPolarAngle = Math.PI;
         this.orbitControls.enabled = true;
+        this.applyCameraConstraints();
+
+        // User input takes over from a running viewpoint transition
+        this.orbitControls.addEventListener('start', () => {
+            this.cancelCameraTransition();
+        });
+
+        // Forward camera movement to host pages (fires for user input and damping)
+        this.orbitControls.addEventListener('change', () => {
+            this.dispatchViewerEvent('camera-change', {
+                position: { x: this.camera.position.x, y: this.camera.position.y, z: this.camera.position.z },
+                target: { x: this.orbitControls.target.x, y: this.orbitControls.target.y, z: this.orbitControls.target.z }
+            });
+            this.scheduleURLSync();
+        });
 
         // Position camera at a reasonable distance from origin if not already set
         // This allows proper orbiting around the splat
@@ -753,29 +2001,46 @@ export class SplatViewer {
         // This ensures the camera is properly aligned
         this.camera.lookAt(lookAtX, lookAtY, lookAtZ);
         
-        // Setup gesture detection to hide controls hint
-        this.setupControlsHintFade();
+        // Track canvas input (controls hint, auto-rotate idle time, sync-group leadership)
+        this.setupCanvasInputTracking();
+
+        // controls="fly" / "fps" keep OrbitControls around but disabled
+        this.applyControlsMode();
         
         console.log('OrbitControls setup complete - orbiting around origin (0, 0, 0)');
     }
     
-    setupControlsHintFade() {
-        if (!this.controlsHint || !this.renderer || !this.renderer.domElement) return;
+    /**
+     * Watch mouse, wheel and touch input on the canvas: hides the controls hint (when there is one),
+     * pauses auto-rotate and makes this viewer the sync-group leader
+     * Registered once per canvas - OrbitControls is recreated after every load and XR session
+     */
+    setupCanvasInputTracking() {
+        if (!this.canvas || this._canvasInputTracked) return;
+        this._canvasInputTracked = true;
         
-        const canvas = this.renderer.domElement;
-        let hintHidden = false;
+        const canvas = this.canvas;
         
+        // The hint is shown again after AR / VR, so check its current state rather than remembering it
         const hideHint = () => {
-            if (!hintHidden && this.controlsHint) {
-                hintHidden = true;
+            if (this.controlsHint && !this.controlsHint.classList.contains('hidden')) {
                 this.controlsHint.classList.add('hidden');
             }
         };
         
+        // The same input also pauses auto-rotate until the idle delay has passed
+        const noteInput = (interacting) => {
+            this._userInteracting = interacting;
+            this._lastUserInput = performance.now();
+            // sync-group: the viewer being handled leads the others
+            this.takeSyncLead();
+        };
+        
         // Detect mouse drag (mousedown + mousemove)
         let isDragging = false;
         canvas.addEventListener('mousedown', (e) => {
             isDragging = true;
+            noteInput(true);
         }, { passive: true });
         
         canvas.addEventListener('mousemove', (e) => {
@@ -785,22 +2050,26 @@ export class SplatViewer {
         }, { passive: true });
         
         canvas.addEventListener('mouseup', () => {
+            if (isDragging) noteInput(false);
             isDragging = false;
         }, { passive: true });
         
         canvas.addEventListener('mouseleave', () => {
+            if (isDragging) noteInput(false);
             isDragging = false;
         }, { passive: true });
         
         // Detect scroll/wheel (zoom)
         canvas.addEventListener('wheel', (e) => {
             hideHint();
+            noteInput(this._userInteracting);
         }, { passive: true });
         
         // Detect touch drag (touchstart + touchmove)
         let isTouchDragging = false;
         canvas.addEventListener('touchstart', (e) => {
             isTouchDragging = true;
+            noteInput(true);
         }, { passive: true });
         
         canvas.addEventListener('touchmove', (e) => {
@@ -809,15 +2078,365 @@ export class SplatViewer {
             }
         }, { passive: true });
         
-        canvas.addEventListener('touchend', () => {
-            isTouchDragging = false;
+        canvas.addEventListener('touchend', (e) => {
+            isTouchDragging = e.touches.length > 0;
+            noteInput(isTouchDragging);
         }, { passive: true });
         
         canvas.addEventListener('touchcancel', () => {
             isTouchDragging = false;
+            noteInput(false);
         }, { passive: true });
     }
 
+    /**
+     * Enable OrbitControls auto-rotate while the canvas is idle (auto-rotate attributes)
+     * Pauses during user input and viewpoint transitions, resumes after auto-rotate-delay
+     * @param {number} now - performance.now() of the current frame
+     * @returns {number|null} - Seconds since the previous frame, for OrbitControls.update()
+     */
+    updateAutoRotate(now) {
+        const previous = this._lastAutoRotateTime;
+        this._lastAutoRotateTime = now;
+
+        const idle = !this._userInteracting &&
+            now - this._lastUserInput >= (this.options.autoRotateDelay || 0);
+        // In a sync-group only the leader spins; the others follow its camera
+        const leads = !this._syncGroup || this._syncGroup.leader === this;
+        this.orbitControls.autoRotate = !!this.options.autoRotate && idle && leads && !this.cameraTransition;
+        this.orbitControls.autoRotateSpeed = this.options.autoRotateSpeed !== undefined ? this.options.autoRotateSpeed : 2.0;
+
+        // Clamp so the model does not jump after the tab was hidden or the viewer paused
+        return previous === null ? null : Math.min((now - previous) / 1000, 0.1);
+    }
+
+    /**
+     * Switch desktop navigation between OrbitControls and Spark's fly / first-person controls
+     * (controls attribute). OrbitControls stays alive but disabled in fly and fps modes.
+     */
+    applyControlsMode() {
+        if (!this.renderer || !this.camera) return;
+
+        const mode = CONTROLS_MODES.includes(this.options.controls) ? this.options.controls : 'orbit';
+        const previousMode = this._controlsMode;
+        const canvas = this.canvas;
+        const isPresenting = this.renderer.xr && this.renderer.xr.isPresenting;
+        this._controlsMode = mode;
+
+        if (mode !== 'orbit' && !this.flyControls) {
+            if (!this.library || !this.library.SparkControls) {
+                console.warn(`SplatViewer: controls="${mode}" needs Spark's SparkControls - using orbit`);
+                this._controlsMode = 'orbit';
+                this.updateControlsHint();
+                return;
+            }
+            this.setupFlyControls(canvas);
+        }
+
+        if (this.orbitControls) {
+            this.orbitControls.enabled = this._controlsMode === 'orbit' && !isPresenting;
+        }
+
+        if (this.flyControls) {
+            // Drag-to-look in fly mode; fps mode looks around with pointer lock instead
+            this.flyControls.pointerControls.enable = mode === 'fly';
+            this.flyControls.pointerControls.rotateVelocity.set(0, 0, 0);
+            this.flyControls.pointerControls.moveVelocity.set(0, 0, 0);
+            this.flyControls.pointerControls.scroll.set(0, 0, 0);
+            this.flyControls.lastTime = 0;
+        }
+
+        if (mode !== 'fps' && document.pointerLockElement === canvas) {
+            document.exitPointerLock();
+        }
+
+        // Orbit again around the point in front of the camera, at the distance it had before
+        if (mode === 'orbit' && previousMode !== 'orbit' && this.orbitControls) {
+            const distance = this._orbitDistance || 1;
+            const forward = new window.THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+            this.orbitControls.target.copy(this.camera.position).addScaledVector(forward, distance);
+            this.orbitControls.update();
+        } else if (mode !== 'orbit' && this.orbitControls && (previousMode === 'orbit' || !this._orbitDistance)) {
+            this._orbitDistance = this.camera.position.distanceTo(this.orbitControls.target);
+        }
+
+        this.updateFlySpeed();
+        this.updateControlsHint();
+        if (previousMode !== this._controlsMode) this.scheduleURLSync();
+    }
+
+    /**
+     * Create the Spark fly controls and the pointer-lock look handler (once per viewer -
+     * Spark's controls keep their document listeners for the lifetime of the page)
+     */
+    setupFlyControls(canvas) {
+        this.flyControls = new this.library.SparkControls({ canvas });
+
+        // Keyboard movement only applies to the focused viewer, so make the canvas focusable
+        if (!canvas.hasAttribute('tabindex')) canvas.tabIndex = 0;
+        canvas.addEventListener('keydown', (event) => {
+            // Keep arrow / page keys from scrolling the page while flying
+            if (this._controlsMode !== 'orbit' && /^(Arrow|Page)/.test(event.code)) {
+                event.preventDefault();
+            }
+            if (this._controlsMode !== 'orbit') this.takeSyncLead();
+        });
+
+        canvas.addEventListener('click', () => {
+            const isPresenting = this.renderer.xr && this.renderer.xr.isPresenting;
+            if (this._controlsMode === 'fps' && !isPresenting && document.pointerLockElement !== canvas &&
+                canvas.requestPointerLock) {
+                canvas.requestPointerLock();
+            }
+        });
+
+        this._onPointerLockMove = (event) => {
+            if (document.pointerLockElement !== canvas || this._controlsMode !== 'fps') return;
+            this.takeSyncLead();
+            const euler = new window.THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+            euler.y -= event.movementX * POINTER_LOCK_LOOK_SPEED;
+            euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, euler.x - event.movementY * POINTER_LOCK_LOOK_SPEED));
+            euler.z = 0;
+            this.camera.quaternion.setFromEuler(euler);
+        };
+        document.addEventListener('mousemove', this._onPointerLockMove);
+    }
+
+    /**
+     * Scale fly speed to the splat: crossing a typical capture takes a few seconds
+     */
+    updateFlySpeed() {
+        if (!this.flyControls) return;
+        const box = this.getSplatBoundingBox();
+        const radius = box && !box.isEmpty() ? box.getBoundingSphere(new window.THREE.Sphere()).radius : 4;
+        const speed = Math.max(radius / 4, 0.05);
+
+        this.flyControls.fpsMovement.moveSpeed = speed;
+        // Spark's pointer defaults are tuned for a move speed of 1
+        this.flyControls.pointerControls.slideSpeed = 6e-3 * speed;
+        this.flyControls.pointerControls.scrollSpeed = 1.5e-3 * speed;
+    }
+
+    /**
+     * Advance fly / fps controls for one desktop frame
+     */
+    updateFlyControls() {
+        const controls = this.flyControls;
+        const canvas = this.canvas;
+
+        // Spark listens for keys on the whole document - only the focused viewer moves
+        controls.fpsMovement.enable = document.activeElement === canvas || document.pointerLockElement === canvas;
+
+        if (this._controlsMode === 'fps') {
+            // Walk on the horizontal plane: move a yaw-only stand-in, then copy position and turn back
+            const THREE = window.THREE;
+            const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+            const walker = this._fpsWalker || (this._fpsWalker = new THREE.Object3D());
+            walker.position.copy(this.camera.position);
+            walker.quaternion.setFromEuler(new THREE.Euler(0, euler.y, 0, 'YXZ'));
+
+            controls.update(walker);
+
+            euler.y = new THREE.Euler().setFromQuaternion(walker.quaternion, 'YXZ').y;
+            euler.z = 0;
+            this.camera.position.copy(walker.position);
+            this.camera.quaternion.setFromEuler(euler);
+        } else {
+            controls.update(this.camera);
+        }
+
+        if (this.options.syncUrl && (!this._lastFlyPose ||
+            !this._lastFlyPose.position.equals(this.camera.position) ||
+            !this._lastFlyPose.quaternion.equals(this.camera.quaternion))) {
+            this._lastFlyPose = { position: this.camera.position.clone(), quaternion: this.camera.quaternion.clone() };
+            this.scheduleURLSync();
+        }
+    }
+
+    /**
+     * Describe the current scene as a scene manifest (the scene-src format)
+     * The camera entry holds the live desktop view, so authors can orbit to a view and export it
+     * @returns {Object} - Manifest object; JSON.stringify() it to save a scene.json file
+     */
+    exportSceneManifest() {
+        const options = this.options;
+        const toArray = (v) => (v ? [v.x, v.y, v.z] : undefined);
+        const exportTransform = (t) => (t ? {
+            position: toArray(t.position),
+            rotate: toArray(t.rotate),
+            scale: toArray(t.scale)
+        } : undefined);
+
+        const manifest = { version: SCENE_MANIFEST_VERSION };
+
+        // Only the configured splat-src is exported - files opened with loadSplat(file), dropped files
+        // and loadSplat(url) calls are not part of the page's scene
+        if (typeof options.splatFile === 'string' && this._displayedSplatSrc === options.splatFile) {
+            manifest.splat = options.splatFile;
+        }
+
+        const layers = Array.from(this.layers.values())
+            .filter((layer) => typeof layer.src === 'string')
+            .map((layer) => ({
+                id: layer.id,
+                src: layer.src,
+                visible: layer.visible,
+                transform: layer.transform ? exportTransform(layer.transform) : undefined
+            }));
+        if (layers.length > 0) manifest.layers = layers;
+
+        const { cameraPosition, cameraLookAt, ...desktopTransform } = options.transform || {};
+        manifest.transform = exportTransform(desktopTransform);
+        manifest.transformAr = exportTransform(options.transformAr);
+        manifest.transformVr = exportTransform(options.transformVr);
+
+        // Live view in desktop mode; the configured camera otherwise
+        const isPresenting = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+        const livePosition = this.camera && !isPresenting ? this.camera.position : null;
+        const liveTarget = this.orbitControls && !isPresenting ? this.orbitControls.target : null;
+        const constraints = options.cameraConstraints || {};
+        const { panBounds, ...constraintValues } = constraints;
+        manifest.camera = {
+            position: toArray(livePosition || cameraPosition),
+            lookAt: liveTarget ? toArray(liveTarget) : (Array.isArray(cameraLookAt) ? cameraLookAt.slice(0, 3) : undefined),
+            framing: options.cameraFraming,
+            framingPadding: options.cameraFramingPadding,
+            controls: options.controls,
+            autoRotate: options.autoRotate,
+            autoRotateSpeed: options.autoRotateSpeed,
+            autoRotateDelay: options.autoRotateDelay,
+            constraints: Object.keys(constraints).length > 0 ? {
+                ...constraintValues,
+                panBounds: panBounds ? [...toArray(panBounds.min), ...toArray(panBounds.max)] : undefined
+            } : undefined
+        };
+
+        if (options.viewpoints && options.viewpoints.length > 0) {
+            manifest.viewpoints = options.viewpoints.map((viewpoint) => ({
+                name: viewpoint.name,
+                position: toArray(viewpoint.position),
+                lookAt: toArray(viewpoint.lookAt),
+                fov: viewpoint.fov || undefined,
+                thumbnail: viewpoint.thumbnail || undefined
+            }));
+        }
+
+        if (this.hotspots.length > 0) {
+            manifest.hotspots = this.hotspots.map((hotspot) => ({
+                name: hotspot.name || undefined,
+                position: toArray(hotspot.position),
+                normal: hotspot.normal ? toArray(hotspot.normal) : undefined,
+                label: hotspot.element.textContent.trim() || undefined
+            }));
+        }
+
+        manifest.background = options.background;
+        manifest.skybox = options.skyboxSrc;
+        manifest.quality = options.quality;
+        manifest.targetFps = options.targetFps;
+
+        // Round-trip through JSON to drop undefined fields
+        return JSON.parse(JSON.stringify(manifest));
+    }
+
+    /**
+     * Hash key for this viewer's URL state, prefixed with the element id when it has one
+     * so several viewers on a page keep separate state (e.g. "viewer-a.cam")
+     */
+    getURLStateKey(key) {
+        const element = this.getViewerElement();
+        return getURLStateKey(element && element.id, key);
+    }
+
+    /**
+     * Read this viewer's state from the URL hash - see readURLHashState()
+     */
+    readURLState() {
+        const element = this.getViewerElement();
+        return readURLHashState(element && element.id);
+    }
+
+    /**
+     * Apply the URL hash state (sync-url) - camera, AR transform mode and layer visibility
+     * The element's _parseConfig() also applies the transform mode, so re-merged configuration keeps it
+     */
+    restoreURLState() {
+        const state = this.readURLState();
+
+        this._urlLayerVisibility = state.layers;
+        state.layers.forEach((visible, id) => {
+            if (this.layers.has(id)) this.setLayerVisible(id, visible);
+        });
+
+        if (state.arTransformMode) {
+            this.updateOptions({ arTransformMode: state.arTransformMode });
+        }
+
+        const isPresenting = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+        if (state.camera && !isPresenting) {
+            this.animateCamera(state.camera, { duration: 0 });
+        }
+
+        this._urlStateRestored = true;
+    }
+
+    /**
+     * Write the URL hash shortly after the view stops changing (sync-url)
+     */
+    scheduleURLSync() {
+        if (!this.options.syncUrl || !this._urlStateRestored) return;
+        clearTimeout(this._urlSyncTimeout);
+        this._urlSyncTimeout = setTimeout(() => this.writeURLState(), URL_SYNC_DELAY);
+    }
+
+    /**
+     * Encode the current view into the URL hash, keeping other viewers' and the page's keys
+     * Uses history.replaceState, so moving the camera does not add history entries
+     */
+    writeURLState() {
+        clearTimeout(this._urlSyncTimeout);
+        this._urlSyncTimeout = null;
+        if (!this.camera) return;
+
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        // The XR camera is not the desktop view - keep the last desktop camera in the hash
+        const isPresenting = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+        if (!isPresenting) {
+            // Fly and fps modes have no orbit target - store a point in front of the camera
+            const position = this.camera.position;
+            const target = this._controlsMode === 'orbit' && this.orbitControls ?
+                this.orbitControls.target :
+                new window.THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).add(position);
+            params.set(this.getURLStateKey('cam'),
+                [position.x, position.y, position.z, target.x, target.y, target.z, this.camera.fov].map(round).join(','));
+        }
+        params.set(this.getURLStateKey('mode'), this.arTransformMode);
+
+        const layerPrefix = this.getURLStateKey('layer.');
+        Array.from(params.keys())
+            .filter((key) => key.startsWith(layerPrefix))
+            .forEach((key) => params.delete(key));
+        this.layers.forEach((layer, id) => params.set(layerPrefix + id, layer.visible ? '1' : '0'));
+
+        // Keep commas readable in shared links
+        const hash = Array.from(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+            .join('&');
+        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}#${hash}`);
+    }
+
+    /**
+     * Show the navigation help for the current controls mode in #controls-hint
+     */
+    updateControlsHint() {
+        if (!this.controlsHint) return;
+        const span = document.createElement('span');
+        span.textContent = CONTROLS_HINTS[this._controlsMode] || CONTROLS_HINTS.orbit;
+        this.controlsHint.replaceChildren(span);
+    }
+
     hideLibraryARButtons() {
         // The GaussianSplats3D library may create its own AR button
         // Find and hide any buttons created by the library
@@ -828,7 +2447,8 @@ export class SplatViewer {
             
             const buttonId = button.getAttribute('id');
             // Skip our custom buttons and test buttons
-            if (buttonId === 'enter-ar-btn' || buttonId === 'exit-ar-btn' || 
+            if (button.closest('[data-splat-viewer-ui], splat-hotspot')) return;
+            if (buttonId === 'enter-ar-btn' || buttonId === 'enter-vr-btn' || buttonId === 'exit-ar-btn' || 
                 buttonId === 'test-ar-btn' || buttonId?.startsWith('test-')) return;
             
             // Aggressively hide and remove the button
@@ -856,7 +2476,8 @@ export class SplatViewer {
             const allButtons = document.querySelectorAll('button');
             allButtons.forEach(button => {
                 const buttonId = button.getAttribute('id');
-                if (buttonId === 'enter-ar-btn' || buttonId === 'exit-ar-btn') return;
+                if (buttonId === 'enter-ar-btn' || buttonId === 'enter-vr-btn' || buttonId === 'exit-ar-btn') return;
+                if (button.closest('[data-splat-viewer-ui], splat-hotspot')) return;
                 
                 // Check if it looks like an AR button
                 const buttonText = button.textContent?.toLowerCase() || '';
@@ -897,6 +2518,7 @@ export class SplatViewer {
                         const libButton = this.viewer[prop];
                         if (libButton.tagName === 'BUTTON' && 
                             libButton.id !== 'enter-ar-btn' && 
+                            libButton.id !== 'enter-vr-btn' && 
                             libButton.id !== 'exit-ar-btn') {
                             console.log('Found library AR button in viewer property:', prop);
                             hideButton(libButton);
@@ -974,18 +2596,15 @@ export class SplatViewer {
         this.arPrompt = root.querySelector('#ar-prompt') || document.getElementById('ar-prompt');
         this.arHandPrompt = root.querySelector('#ar-hand-prompt') || document.getElementById('ar-hand-prompt');
         this.controlsHint = root.querySelector('#controls-hint') || document.getElementById('controls-hint');
-        
+        this.loadProgress = root.querySelector('#load-progress');
+        this.vrButton = root.querySelector('#enter-vr-btn');
+        this.viewpointButtons = root.querySelector('#viewpoint-buttons');
+        this.captureButton = root.querySelector('#capture-btn');
+
         // Apply theme to status and controls hint (only in desktop mode, not AR)
-        if (this.statusDiv && this.controlsHint) {
-            const theme = this.options.theme || 'dark';
-            // Remove existing theme classes
-            this.statusDiv.classList.remove('theme-dark', 'theme-light');
-            this.controlsHint.classList.remove('theme-dark', 'theme-light');
-            // Add current theme class
-            this.statusDiv.classList.add(`theme-${theme}`);
-            this.controlsHint.classList.add(`theme-${theme}`);
-        }
-        
+        this.applyTheme();
+        this.updateControlsHint();
+
         // AR UX state tracking
         this.arUXState = 'idle'; // idle, scanning, placing, placed
 
@@ -1085,9 +2704,34 @@ export class SplatViewer {
                 } catch (error) {
                     console.error('Failed to start AR:', error);
                     this.showARPrompt('Failed to start AR. Please try again.');
+                    this.dispatchViewerEvent('ar-status', { status: 'failed', error });
+                }
+            };
+        }
+
+        // Viewpoint thumbnails (viewpoint-buttons)
+        this.renderViewpointButtons();
+
+        // Hotspots declared as <splat-hotspot> children
+        this.refreshHotspots();
+
+        // Capture button (capture-button)
+        if (this.captureButton) {
+            this.captureButton.onclick = () => this.downloadCapture();
+        }
+        this.updateCaptureButton();
+
+        // VR button (enable-vr) - shown only on devices that support immersive-vr
+        if (this.vrButton) {
+            this.vrButton.onclick = () => {
+                if (this.vrSession) {
+                    this.exitVR();
+                } else {
+                    this.enterVR();
                 }
             };
         }
+        this.updateVRButton();
 
         // Setup exit button
         if (this.exitARButton) {
@@ -1105,39 +2749,323 @@ export class SplatViewer {
     }
 
     /**
-     * Enter AR mode - update UI (model-viewer style)
+     * Find the <splat-viewer> element that hosts this viewer
+     * Falls back to the container when the viewer is used without the custom element
      */
-    enterARMode() {
-        // Hide AR button, show exit button
-        if (this.arButton) this.arButton.classList.add('hidden');
-        if (this.exitARButton) this.exitARButton.classList.add('visible');
-        if (this.arOverlay) this.arOverlay.classList.add('active');
-        if (this.controlsHint) this.controlsHint.classList.add('hidden');
-        
-        // Hide status (will show prompt instead)
-        if (this.statusDiv) this.statusDiv.classList.add('hidden');
-        
-        // Start in scanning state - show hand animation
-        this.arUXState = 'scanning';
-        this.showHandPrompt();
-        this.hideARPrompt();
+    getViewerElement() {
+        let customElement = this.container;
+        // If container is #canvas-container, get its parent (the custom element)
+        if (customElement.id === 'canvas-container') {
+            customElement = customElement.parentElement;
+        }
+        // Fallback: traverse up to find splat-viewer element
+        while (customElement && customElement.tagName !== 'SPLAT-VIEWER' && customElement.parentElement) {
+            customElement = customElement.parentElement;
+        }
+        return customElement || this.container;
     }
 
     /**
-     * Exit AR mode - restore UI (model-viewer style)
+     * Dispatch a CustomEvent from the host element
+     * @param {string} type - Event name
+     * @param {Object} detail - Event detail payload
      */
-    exitARMode() {
-        // Show AR button, hide exit button
-        if (this.arButton) this.arButton.classList.remove('hidden');
-        if (this.exitARButton) this.exitARButton.classList.remove('visible');
-        if (this.arOverlay) this.arOverlay.classList.remove('active');
-        if (this.controlsHint) this.controlsHint.classList.remove('hidden');
-        
-        // Move stats back to splat-viewer container for desktop mode (if they were in ar-overlay)
-        if (this.stats && this.stats.dom) {
-            // Find the custom element (splat-viewer) that contains this container
-            let customElement = this.container;
-            if (customElement.id === 'canvas-container') {
+    dispatchViewerEvent(type, detail = {}) {
+        const target = this.getViewerElement();
+        if (!target) return;
+        target.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Dispatch an 'error' event once per error object
+     * (a load failure during init() would otherwise be reported twice)
+     * @param {Error} error - The error
+     * @param {string} phase - Where it happened: 'init' or 'load'
+     */
+    dispatchErrorEvent(error, phase) {
+        if (error && typeof error === 'object') {
+            if (reportedErrors.has(error)) return;
+            reportedErrors.add(error);
+        }
+        this.dispatchViewerEvent('error', {
+            error,
+            message: error?.message || String(error),
+            phase
+        });
+    }
+
+    /**
+     * Apply the configured theme class to status and controls hint
+     * Safe to call repeatedly - previous theme classes are removed first
+     */
+    applyTheme() {
+        if (!this.statusDiv || !this.controlsHint) return;
+
+        const theme = this.options.theme || 'dark';
+        // Remove existing theme classes
+        this.statusDiv.classList.remove('theme-dark', 'theme-light');
+        this.controlsHint.classList.remove('theme-dark', 'theme-light');
+        // Add current theme class
+        this.statusDiv.classList.add(`theme-${theme}`);
+        this.controlsHint.classList.add(`theme-${theme}`);
+
+        if (this.loadProgress) {
+            this.loadProgress.classList.remove('theme-dark', 'theme-light');
+            this.loadProgress.classList.add(`theme-${theme}`);
+        }
+
+        if (this.viewpointButtons) {
+            this.viewpointButtons.classList.remove('theme-dark', 'theme-light');
+            this.viewpointButtons.classList.add(`theme-${theme}`);
+        }
+    }
+
+    /**
+     * Show download progress under the status message and notify listeners
+     * @param {number} loaded - Bytes received so far
+     * @param {number} total - Total bytes, or 0 if unknown
+     */
+    updateLoadProgress(loaded, total) {
+        const lengthComputable = total > 0;
+        const progress = lengthComputable ? Math.min(1, loaded / total) : null;
+
+        if (this.loadProgress) {
+            this.loadProgress.classList.add('visible');
+            // Unknown size: show an indeterminate bar instead of a wrong percentage
+            this.loadProgress.classList.toggle('indeterminate', !lengthComputable);
+            const bar = this.loadProgress.querySelector('.load-progress-bar');
+            if (bar) {
+                bar.style.width = lengthComputable ? `${(progress * 100).toFixed(1)}%` : '';
+            }
+            this.loadProgress.setAttribute('aria-valuenow', lengthComputable ? Math.round(progress * 100) : '');
+        }
+
+        this.dispatchViewerEvent('progress', { loaded, total, lengthComputable, progress });
+    }
+
+    hideLoadProgress() {
+        if (this.loadProgress) {
+            this.loadProgress.classList.remove('visible', 'indeterminate');
+        }
+    }
+
+    /**
+     * Let users drop a splat file onto the canvas to load it (drop-target attribute)
+     */
+    setupDropTarget() {
+        if (this.dropHandlers || !this.container) return;
+
+        const host = this.getViewerElement();
+        let dragDepth = 0; // dragenter/dragleave also fire for child elements
+
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+        const isAR = () => this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+
+        this.dropHandlers = {
+            dragenter: (event) => {
+                if (!hasFiles(event) || isAR()) return;
+                event.preventDefault();
+                dragDepth++;
+                host.classList.add('drag-over');
+            },
+            dragover: (event) => {
+                if (!hasFiles(event) || isAR()) return;
+                // Required for the drop event to fire
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            },
+            dragleave: () => {
+                dragDepth = Math.max(0, dragDepth - 1);
+                if (dragDepth === 0) host.classList.remove('drag-over');
+            },
+            drop: (event) => {
+                dragDepth = 0;
+                host.classList.remove('drag-over');
+                if (!hasFiles(event) || isAR()) return;
+                event.preventDefault();
+
+                const file = event.dataTransfer.files[0];
+                if (!file) return;
+                // loadSplat() reports unsupported files through the status message and 'error' event
+                this.loadSplat(file).catch(() => {});
+            }
+        };
+
+        Object.entries(this.dropHandlers).forEach(([type, handler]) => {
+            this.container.addEventListener(type, handler);
+        });
+    }
+
+    removeDropTarget() {
+        if (!this.dropHandlers) return;
+        Object.entries(this.dropHandlers).forEach(([type, handler]) => {
+            this.container.removeEventListener(type, handler);
+        });
+        this.dropHandlers = null;
+        this.getViewerElement().classList.remove('drag-over');
+    }
+
+    /**
+     * Update viewer options after initialization without tearing down the renderer
+     * Diffs the new options against the current ones and only re-applies what changed
+     * @param {Object} newOptions - Full or partial configuration (same shape as mergeConfig output)
+     */
+    updateOptions(newOptions = {}) {
+        const previous = this.options;
+        this.options = { ...previous, ...newOptions };
+        const changed = (key) => !isSameConfigValue(previous[key], this.options[key]);
+
+        // init() has not created the renderer yet - it will read the new options itself
+        if (!this.renderer) return;
+
+        // Most options change what is drawn; render-mode="on-demand" picks them up on the next frame
+        this.requestRender();
+
+        if (changed('theme')) {
+            this.applyTheme();
+        }
+
+        if (changed('showFPS')) {
+            if (this.options.showFPS && !this.stats) {
+                this.initStats();
+            } else if (!this.options.showFPS && this.stats) {
+                this.disposeStats();
+            }
+        }
+
+        if (changed('viewpoints') || changed('viewpointButtons')) {
+            this.renderViewpointButtons();
+        }
+
+        if (changed('captureButton')) {
+            this.updateCaptureButton();
+        }
+
+        if (changed('enableVR')) {
+            this.updateVRButton();
+        }
+
+        if (changed('transformVr') && this.vrSession && this.splatMesh) {
+            this.applyTransformToMesh(this.splatMesh, 'vr');
+        }
+
+        if (changed('dropTarget')) {
+            if (this.options.dropTarget) {
+                this.setupDropTarget();
+            } else {
+                this.removeDropTarget();
+            }
+        }
+
+        const isAR = this.renderer.xr && this.renderer.xr.isPresenting;
+
+        if (changed('transform') && !isAR) {
+            const before = previous.transform || {};
+            const after = this.options.transform || {};
+
+            // Camera position/look-at are stored on the desktop transform
+            if (!isSameConfigValue(before.cameraPosition, after.cameraPosition) ||
+                !isSameConfigValue(before.cameraLookAt, after.cameraLookAt)) {
+                this.applyCameraTransform();
+            }
+
+            if (this.splatMesh) {
+                this.applyTransformToMesh(this.splatMesh, 'desktop');
+            }
+        }
+        // transformAr changes are picked up on the next AR placement
+
+        if (changed('syncGroup')) {
+            this.joinSyncGroup(this.options.syncGroup);
+        }
+
+        if (changed('quality') || changed('targetFps')) {
+            if (changed('quality')) {
+                this._qualityLevel = getInitialQualityLevel(this.options.quality);
+            }
+            this._qualityGovernor = null;
+            this.applyQuality();
+        }
+
+        if (changed('shadowIntensity') || changed('shadowSoftness')) {
+            this.updateContactShadow();
+        }
+
+        if (changed('background') || changed('skyboxSrc')) {
+            this.updateBackground();
+        }
+
+        if (changed('syncUrl')) {
+            if (!this.options.syncUrl) {
+                clearTimeout(this._urlSyncTimeout);
+                this._urlSyncTimeout = null;
+            } else if (!this._urlStateRestored && this.splatMesh) {
+                this.restoreURLState();
+            } else {
+                this.scheduleURLSync();
+            }
+        }
+
+        if ((changed('cameraConstraints') || changed('transform')) && !isAR) {
+            this.applyCameraConstraints();
+        }
+
+        if (changed('arTransformMode')) {
+            this.setARTransformMode(this.options.arTransformMode);
+        }
+
+        if (changed('controls') && !isAR) {
+            this.applyControlsMode();
+        } else if (changed('transform') && this.flyControls) {
+            this.updateFlySpeed();
+        }
+
+        // Re-frame when framing is switched on or the splat moved/resized
+        if (!isAR && this.splatMesh && this.options.cameraFraming === 'auto' &&
+            (changed('cameraFraming') || changed('cameraFramingPadding') || changed('transform'))) {
+            this.frameSplat();
+        }
+
+        if (changed('splatFile') && this.options.splatFile) {
+            // loadSplat() reports its own errors through updateStatus()
+            this.loadSplat(this.options.splatFile).catch(() => {});
+        }
+    }
+
+    /**
+     * Enter AR mode - update UI (model-viewer style)
+     */
+    enterARMode() {
+        // Hide AR button, show exit button
+        if (this.arButton) this.arButton.classList.add('hidden');
+        if (this.exitARButton) this.exitARButton.classList.add('visible');
+        if (this.arOverlay) this.arOverlay.classList.add('active');
+        if (this.controlsHint) this.controlsHint.classList.add('hidden');
+        
+        // Hide status (will show prompt instead)
+        if (this.statusDiv) this.statusDiv.classList.add('hidden');
+        
+        // Start in scanning state - show hand animation
+        this.arUXState = 'scanning';
+        this.showHandPrompt();
+        this.hideARPrompt();
+    }
+
+    /**
+     * Exit AR mode - restore UI (model-viewer style)
+     */
+    exitARMode() {
+        // Show AR button, hide exit button
+        if (this.arButton) this.arButton.classList.remove('hidden');
+        if (this.exitARButton) this.exitARButton.classList.remove('visible');
+        if (this.arOverlay) this.arOverlay.classList.remove('active');
+        if (this.controlsHint) this.controlsHint.classList.remove('hidden');
+        
+        // Move stats back to splat-viewer container for desktop mode (if they were in ar-overlay)
+        if (this.stats && this.stats.dom) {
+            // Find the custom element (splat-viewer) that contains this container
+            let customElement = this.container;
+            if (customElement.id === 'canvas-container') {
                 customElement = customElement.parentElement;
             }
             while (customElement && customElement.tagName !== 'SPLAT-VIEWER' && customElement.parentElement) {
@@ -1157,6 +3085,18 @@ export class SplatViewer {
             }
         }
         
+        // Put hotspot overlays back where the page declared them
+        this.moveHotspotsForAR(false);
+
+        // sync-group: catch up with cameras that moved during the session
+        this._syncPending = true;
+
+        // Restore the desktop background hidden in onARStart()
+        if (this.backgroundMesh) {
+            const { background, skyboxSrc } = this.options;
+            this.backgroundMesh.visible = !!skyboxSrc || (!!background && background !== 'transparent' && background !== 'none');
+        }
+
         // Hide all prompts
         this.hideARPrompt();
         this.hideHandPrompt();
@@ -1165,6 +3105,7 @@ export class SplatViewer {
         this.arUXState = 'idle';
         
         // Ensure splat is reset to origin when exiting AR (handles back navigation case)
+        this.resetSplatGroup();
         if (this.splatMesh) {
             this.applyTransformToMesh(this.splatMesh, 'desktop');
         }
@@ -1219,6 +3160,7 @@ export class SplatViewer {
         this.arUXState = 'placing';
         this.hideHandPrompt();
         this.showARPrompt('Tap to place');
+        this.dispatchViewerEvent('ar-status', { status: 'floor-detected' });
     }
 
     /**
@@ -1228,6 +3170,7 @@ export class SplatViewer {
         this.arUXState = 'placed';
         this.hideHandPrompt();
         this.showARPrompt('Drag to move • Pinch to scale • Twist to rotate');
+        this.dispatchViewerEvent('ar-status', { status: 'placed' });
         
         // Auto-hide prompt after 4 seconds (model-viewer behavior)
         setTimeout(() => {
@@ -1237,227 +3180,552 @@ export class SplatViewer {
         }, 4000);
     }
 
-    async loadSplat(url) {
-        try {
-            this.updateStatus('Loading Gaussian splat...');
-
-            if (!this.library || !this.library.SplatMesh) {
-                throw new Error('Spark library not loaded');
+    /**
+     * Fetch and decode a splat file into a SplatMesh that is not yet added to the scene
+     * Shared by loadSplat() and splat layers
+     * @param {string|File|Blob|ArrayBuffer} source - Splat file URL or in-memory file
+     * @param {Object} options - { signal (caller abort), timeoutSignal (load-timeout), onProgress, fileType, fileName }
+     * @returns {Promise<Object>} - Initialized SplatMesh
+     */
+    async createSplatMesh(source, { signal, timeoutSignal, onProgress, fileType: fileTypeHint, fileName } = {}) {
+        if (!this.library || !this.library.SplatMesh) {
+            throw new Error('Spark library not loaded');
+        }
+
+        // Abort reasons are SplatLoadErrors (timeout / aborted) - rethrow them as-is
+        const loadSignal = combineAbortSignals(signal, timeoutSignal);
+        const throwIfAborted = (abortSignal = loadSignal) => {
+            if (abortSignal && abortSignal.aborted) {
+                throw abortSignal.reason instanceof SplatLoadError
+                    ? abortSignal.reason
+                    : new SplatLoadError('load aborted', 'aborted');
             }
+        };
 
-            if (!this.scene) {
-                throw new Error('Scene not initialized');
-            }
+        const name = getSplatSourceName(source, fileName);
 
-            // Remove existing splat mesh if any
-            if (this.splatMesh) {
-                this.scene.remove(this.splatMesh);
-                // Dispose if SplatMesh has dispose method
-                if (this.splatMesh.dispose && typeof this.splatMesh.dispose === 'function') {
-                    this.splatMesh.dispose();
-                }
-                this.splatMesh = null;
-            }
+        // Download the file ourselves so we can report byte-level progress
+        let fileBytes;
+        try {
+            fileBytes = await readSplatBytes(source, { signal, timeoutSignal, onProgress, cache: this.options.cache });
+        } catch (error) {
+            throwIfAborted();
+            if (error instanceof SplatLoadError) throw error;
+            // Passing something that is not a splat source is a caller error, not a network failure
+            if (error instanceof TypeError && typeof source !== 'string') throw error;
+            const action = typeof source === 'string' ? 'fetching' : 'reading';
+            throw new SplatLoadError(`network error while ${action} ${name} (${error.message})`, 'network', error);
+        }
+
+        // cache="persistent" hands over its stored copy when load-timeout fires - from then on
+        // only the caller can abort decoding it
+        const decodeSignal = timeoutSignal && timeoutSignal.aborted ? signal : loadSignal;
+        throwIfAborted(decodeSignal);
+
+        // Rejects when the load is aborted, so decoding can be raced against it
+        const whenAborted = new Promise((resolve, reject) => {
+            if (!decodeSignal) return;
+            decodeSignal.addEventListener('abort', () => {
+                try { throwIfAborted(decodeSignal); } catch (error) { reject(error); }
+            }, { once: true });
+        });
+        whenAborted.catch(() => {}); // Only observed while decoding
 
-            // Create SplatMesh with Spark
-            this.splatMesh = new this.library.SplatMesh({ url: url });
-            
-            // Hide mesh initially to prevent visible jump before transform is applied
-            this.splatMesh.visible = false;
-            
-            // Add to scene
-            this.scene.add(this.splatMesh);
-
-            // Wait for load to complete
-            // Spark's SplatMesh may load asynchronously - try multiple detection methods
-            await new Promise((resolve, reject) => {
-                let resolved = false;
-                let pollInterval = null;
-                
-                const cleanup = () => {
-                    if (pollInterval) {
-                        clearInterval(pollInterval);
-                        pollInterval = null;
-                    }
-                };
+        // Reject unknown formats before handing the bytes to Spark's decoder workers
+        const fileType = detectSplatFileType(this.library, fileBytes, name, fileTypeHint);
+        if (!fileType) {
+            throw new SplatLoadError(`unsupported file format for ${name}. Supported formats: .splat, .ply, .spz, .sog, .ksplat`, 'unsupported-format');
+        }
 
-                const resolveOnce = () => {
-                    if (!resolved) {
-                        resolved = true;
-                        cleanup();
-                        console.log('SplatMesh load detected - resolving promise');
-                        resolve();
-                    }
-                };
+        if (this.splatSource === name) {
+            this.updateStatus('Processing Gaussian splat...');
+        }
 
-                const rejectOnce = (error) => {
-                    if (!resolved) {
-                        resolved = true;
-                        cleanup();
-                        console.error('SplatMesh load failed:', error);
-                        reject(error || new Error('Failed to load splat file'));
-                    }
-                };
+        // Create SplatMesh with Spark from the downloaded bytes
+        const mesh = new this.library.SplatMesh({ fileBytes: fileBytes, fileType: fileType, fileName: name });
 
-                // Method 1: Try event listeners (if Spark supports them)
-                if (typeof this.splatMesh.addEventListener === 'function') {
-                    const onLoad = () => {
-                        console.log('SplatMesh load event fired');
-                        resolveOnce();
-                    };
+        // Wait for Spark to finish decoding
+        try {
+            await Promise.race([mesh.initialized, whenAborted]);
+            throwIfAborted(decodeSignal);
+        } catch (error) {
+            mesh.dispose();
+            if (error instanceof SplatLoadError) throw error;
+            throw new SplatLoadError(`the file could not be decoded (${error.message || error})`, 'decode', error);
+        }
 
-                    const onError = (error) => {
-                        console.error('SplatMesh error event fired:', error);
-                        rejectOnce(error);
-                    };
+        console.log('SplatMesh initialized:', { src: name, fileType, numSplats: mesh.numSplats });
+        return mesh;
+    }
 
-                    this.splatMesh.addEventListener('load', onLoad);
-                    this.splatMesh.addEventListener('error', onError);
-                }
+    /**
+     * Load a splat as the viewer's main splat, replacing the current one once decoded
+     * @param {string|File|Blob|ArrayBuffer} source - Splat file URL or in-memory file
+     * @param {Object} options - { fileType, fileName } hints for sources without a usable name
+     */
+    async loadSplat(source, { fileType, fileName } = {}) {
+        // A new load supersedes any load still in flight
+        if (this.loadAbortController) {
+            this.loadAbortController.abort(new SplatLoadError('superseded by a newer load', 'aborted'));
+        }
+        const abortController = new AbortController();
+        this.loadAbortController = abortController;
+
+        // Abort the load (download + decode) if it takes longer than load-timeout
+        // With a preview, the full splat gets a fresh load-timeout once the preview is on screen
+        // Kept apart from abortController so cache="persistent" can fall back to its stored copy
+        const loadTimeout = this.options.loadTimeout;
+        const timeoutController = new AbortController();
+        let timeoutId = null;
+        const startLoadTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = loadTimeout > 0 ? setTimeout(() => {
+                timeoutController.abort(new SplatLoadError(`timed out after ${Math.round(loadTimeout / 1000)} seconds. File may be too large or the network too slow.`, 'timeout'));
+            }, loadTimeout) : null;
+        };
+        startLoadTimeout();
 
-                // Method 2: Poll for load completion
-                // Check for various indicators that loading is complete
-                let pollCount = 0;
-                const maxPolls = 600; // 60 seconds at 100ms intervals
-                
-                pollInterval = setInterval(() => {
-                    pollCount++;
-                    
-                    // Check if mesh has loaded (various indicators)
-                    const hasGeometry = this.splatMesh && this.splatMesh.geometry !== undefined && this.splatMesh.geometry !== null;
-                    const hasMaterial = this.splatMesh && this.splatMesh.material !== undefined && this.splatMesh.material !== null;
-                    const isReady = this.splatMesh && (this.splatMesh.ready === true || this.splatMesh.loaded === true);
-                    const hasUserDataLoaded = this.splatMesh && this.splatMesh.userData && this.splatMesh.userData.loaded === true;
-                    
-                    // Check if it's a Three.js object with children (might be a group)
-                    const hasChildren = this.splatMesh && this.splatMesh.children && this.splatMesh.children.length > 0;
-                    
-                    // If any indicator suggests it's loaded, resolve
-                    if (hasGeometry || hasMaterial || isReady || hasUserDataLoaded || hasChildren) {
-                        console.log('SplatMesh appears loaded:', {
-                            hasGeometry,
-                            hasMaterial,
-                            isReady,
-                            hasUserDataLoaded,
-                            hasChildren,
-                            pollCount
-                        });
-                        resolveOnce();
-                    } else if (pollCount >= maxPolls) {
-                        // Timeout - check one more time before rejecting
-                        cleanup();
-                        if (hasGeometry || hasMaterial || hasChildren) {
-                            console.warn('SplatMesh timeout but appears to have some properties - resolving anyway');
-                            resolveOnce();
-                        } else {
-                            rejectOnce(new Error('Splat load timeout after 60 seconds. File may be too large, format not supported, or network issue. Check browser console for details.'));
-                        }
-                    }
-                }, 100);
-            });
+        const sourceName = getSplatSourceName(source, fileName);
 
-            // Store in compatibility shim
-            this.viewer.splatMesh = this.splatMesh;
+        // A preview still fading out, or a full splat waiting to replace it, belongs to the previous load
+        this.finishSplatCrossFade();
+        if (this._pendingSplatSwap) {
+            this._pendingSplatSwap.mesh.dispose();
+            this._pendingSplatSwap = null;
+        }
 
-            // Apply initial transform before showing
-            this.applyTransformToMesh(this.splatMesh, 'desktop');
+        // splat-preview-src only describes the configured splat-src, not dropped files or loadSplat(url) calls
+        const previewSource = typeof source === 'string' && source === this.options.splatFile
+            ? this.options.splatPreviewSrc
+            : null;
 
-            // Show mesh after transform is applied
-            this.splatMesh.visible = true;
-            
-            // Performance optimization: Configure SparkRenderer maxStdDev
-            // Spark.js docs recommend Math.sqrt(5) for VR, or less than Math.sqrt(8) for better performance
-            // Since we support AR, use Math.sqrt(5) for better VR/AR performance
-            // The SparkRenderer is created automatically by SplatMesh, so we need to find it in the scene
-            const configureSparkRenderer = () => {
-                if (!this.library || !this.library.SparkRenderer) return;
-                
-                // Traverse scene to find SparkRenderer instances
-                this.scene.traverse((child) => {
-                    if (child instanceof this.library.SparkRenderer) {
-                        // Set maxStdDev for better performance (especially for VR/AR)
-                        // Math.sqrt(5) ≈ 2.24 is recommended for VR, perceptually very similar to default
-                        child.maxStdDev = Math.sqrt(5);
-                        console.log('SparkRenderer maxStdDev configured for performance:', child.maxStdDev);
-                    }
-                });
-            };
-            
-            // Try to configure immediately, and also after first render when SparkRenderer is created
-            configureSparkRenderer();
-            
-            // Reset flag - animation loop will set it to true after first render
-            this._splatFirstRenderComplete = false;
+        try {
+            this.updateStatus('Loading Gaussian splat...');
+            this.splatSource = sourceName;
 
-            // Force a render to ensure splat is visible before showing success message
-            // This will also trigger SparkRenderer creation, so configure after render
-            if (this.renderer && this.scene && this.camera) {
-                this.renderer.render(this.scene, this.camera);
-                // Configure again after render in case SparkRenderer was just created
-                requestAnimationFrame(() => configureSparkRenderer());
+            if (!this.scene) {
+                throw new Error('Scene not initialized');
             }
-            
-            // Don't show success message here - wait for animation loop to confirm first render
 
-            // Setup OrbitControls for desktop/non-AR mode first
-            this.setupOrbitControls();
+            // Show the small preview first; the full splat then streams in behind it
+            let preview = null;
+            if (previewSource) {
+                try {
+                    preview = await this.createSplatMesh(previewSource, {
+                        signal: abortController.signal,
+                        timeoutSignal: timeoutController.signal,
+                        fileName: getSplatSourceName(previewSource),
+                        onProgress: (loaded, total) => this.updateLoadProgress(loaded, total)
+                    });
+                    this.hideLoadProgress();
+                    this.showSplatMesh(preview);
+                    this._displayedSplatSrc = source;
+                    this.dispatchViewerEvent('preview-load', { src: previewSource, numSplats: preview.numSplats });
+                    startLoadTimeout();
+                } catch (error) {
+                    if (error instanceof SplatLoadError && error.type === 'aborted') throw error;
+                    console.warn('SplatViewer: preview splat failed to load, waiting for the full splat:', error);
+                    preview = null;
+                }
+            }
 
-            // Re-apply camera transform after OrbitControls setup to ensure correct positioning
-            // This ensures camera position and lookAt are set correctly and OrbitControls target is at origin
-            this.applyCameraTransform();
+            const mesh = await this.createSplatMesh(source, {
+                signal: abortController.signal,
+                timeoutSignal: timeoutController.signal,
+                fileType,
+                fileName: sourceName,
+                // While the preview is on screen, report progress through events only - no bar over it
+                onProgress: preview
+                    ? (loaded, total) => this.dispatchViewerEvent('progress', {
+                        loaded,
+                        total,
+                        lengthComputable: total > 0,
+                        progress: total > 0 ? Math.min(1, loaded / total) : null
+                    })
+                    : (loaded, total) => this.updateLoadProgress(loaded, total)
+            });
+            this.hideLoadProgress();
 
-            // Ensure WebXR is enabled on the renderer
-            if (this.renderer) {
-                this.renderer.xr.enabled = true;
-                console.log('WebXR enabled on renderer');
+            if (preview) {
+                // Cross-fade over the preview, but not while the user is placing or moving it in AR
+                if (this.isARPlacementInProgress()) {
+                    this._pendingSplatSwap = { mesh, preview, sourceName };
+                } else {
+                    this.swapInFullSplat(mesh, preview, sourceName);
+                }
+                return;
             }
 
+            this.showSplatMesh(mesh);
+            this._displayedSplatSrc = typeof source === 'string' ? source : null;
+            this.dispatchViewerEvent('load', { src: sourceName, numSplats: this.splatMesh.numSplats });
+
         } catch (error) {
+            // A newer load took over - it owns the status and progress UI now
+            if (error instanceof SplatLoadError && error.type === 'aborted') {
+                console.log('Splat load aborted:', sourceName);
+                throw error;
+            }
+
             console.error('Error loading splat:', error);
+            this.hideLoadProgress();
             this.updateStatus('Error loading splat: ' + error.message);
-            
-            // Clean up on error
-            if (this.splatMesh) {
-                this.scene.remove(this.splatMesh);
-                this.splatMesh = null;
-                this.viewer.splatMesh = null;
-            }
-            
+            this.dispatchErrorEvent(error, 'load');
+
             throw error;
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+            if (this.loadAbortController === abortController) {
+                this.loadAbortController = null;
+            }
         }
     }
 
-    async onARStart() {
-        const session = this.renderer.xr.getSession();
-        if (!session) {
-            console.warn('⚠️ [AR START] AR session not available');
-            return;
+    /**
+     * Make a freshly loaded mesh the main splat: replace the previous one, apply the desktop
+     * transform and camera setup (shared by full loads and splat-preview-src previews)
+     */
+    showSplatMesh(mesh) {
+        // Remove existing splat mesh only once the new one is ready
+        if (this.splatMesh) {
+            this.splatGroup.remove(this.splatMesh);
+            // Dispose if SplatMesh has dispose method
+            if (this.splatMesh.dispose && typeof this.splatMesh.dispose === 'function') {
+                this.splatMesh.dispose();
+            }
         }
 
-        // Reset exit flag in case it was left in a bad state
-        this._isExitingAR = false;
+        this.splatMesh = mesh;
+
+        // Hide mesh initially to prevent visible jump before transform is applied
+        this.splatMesh.visible = false;
+
+        // Add to the group shared with the layers
+        this.splatGroup.add(this.splatMesh);
+
+        // Store in compatibility shim
+        this.viewer.splatMesh = this.splatMesh;
+
+        // Apply initial transform before showing
+        this.applyTransformToMesh(this.splatMesh, 'desktop');
+
+        // Show mesh after transform is applied
+        this.splatMesh.visible = true;
         
-        this.xrSession = session;
+        // Apply the quality level's maxStdDev and splat culling to Spark
+        // The SparkRenderer is created automatically by SplatMesh on its first render, so
+        // configure immediately (if it exists) and again after the first render
+        this.applySparkQuality();
         
-        // Performance optimization: Pause all other viewers when this one enters AR
-        // Only one viewer can be in AR at a time, so pause others to save resources
-        for (const viewer of activeViewers) {
-            if (viewer !== this && !viewer._isPaused) {
-                viewer.pauseRendering();
-                console.log('Paused other viewer for AR performance');
-            }
+        // Reset flag - animation loop will set it to true after first render
+        this._splatFirstRenderComplete = false;
+
+        // Force a render to ensure splat is visible before showing success message
+        // This will also trigger SparkRenderer creation, so configure after render
+        if (this.renderer && this.scene && this.camera) {
+            this.renderView();
+            // Configure again after render in case SparkRenderer was just created
+            requestAnimationFrame(() => this.applySparkQuality());
         }
         
-        // Log session capabilities (for debugging)
-        // AR session started
-        
-        // Initialize plane detection if available (ARCore on Android)
-        if (session.enabledFeatures?.includes('plane-detection') && window.XRPlanes) {
-            this.initializePlaneDetection();
-        } else {
-            // Plane detection not available - using hit-test fallback
-            this.xrPlanes = null;
-        }
+        // Don't show success message here - wait for animation loop to confirm first render
+
+        // Setup OrbitControls for desktop/non-AR mode first
+        this.setupOrbitControls();
+
+        // Re-apply camera transform after OrbitControls setup to ensure correct positioning
+        // This ensures camera position and lookAt are set correctly and OrbitControls target is at origin
+        this.applyCameraTransform();
+
+        // camera-framing="auto": the camera attributes only pick the viewing direction
+        if (this.options.cameraFraming === 'auto') {
+            this.frameSplat();
+        }
+
+        // sync-url: a deep link overrides the configured camera on the first load
+        if (this.options.syncUrl && !this._urlStateRestored) {
+            this.restoreURLState();
+        }
+
+        // sync-group: line the new camera up with the group again
+        this._syncPending = true;
+
+        // Ensure WebXR is enabled on the renderer
+        if (this.renderer) {
+            this.renderer.xr.enabled = true;
+            console.log('WebXR enabled on renderer');
+        }
+    }
+
+    /**
+     * Whether the user is placing the splat in AR (scanning for the floor, or dragging,
+     * turning or scaling it) - the full splat waits for this before replacing its preview
+     */
+    isARPlacementInProgress() {
+        if (!this.xrSession) return false;
+        return !this.splatPlaced || !!(this.manipulationRing && this.manipulationRing.visible);
+    }
+
+    /**
+     * Replace the splat-preview-src preview with the full splat, fading it in over the preview
+     * The full splat takes over the preview's transform inside the splat group (which carries
+     * any AR placement), and the preview stays next to it until it has faded out
+     */
+    swapInFullSplat(mesh, preview, sourceName) {
+        mesh.position.copy(preview.position);
+        mesh.quaternion.copy(preview.quaternion);
+        mesh.rotation.setFromQuaternion(mesh.quaternion);
+        mesh.scale.copy(preview.scale);
+        mesh.visible = preview.visible;
+
+        mesh.opacity = 0;
+        this.splatGroup.add(mesh);
+        mesh.updateMatrixWorld(true);
+
+        this.splatMesh = mesh;
+        this.viewer.splatMesh = mesh;
+        this._splatCrossFade = { preview, start: performance.now() };
+        this.applySparkQuality();
+        this.requestRender();
+
+        // Framing limits and the camera-ground height were measured on the preview
+        this.applyCameraConstraints();
+        if (this.options.cameraFraming === 'auto' && !this._userInteracting) {
+            this.frameSplat({ duration: SPLAT_CROSS_FADE_DURATION });
+        }
+
+        this.dispatchViewerEvent('load', { src: sourceName, numSplats: mesh.numSplats });
+    }
+
+    /**
+     * Advance the preview-to-full cross-fade, or start a swap that waited for AR placement
+     * Called from the desktop, AR and VR render loops
+     */
+    updateSplatCrossFade(now) {
+        if (this._pendingSplatSwap && !this.isARPlacementInProgress()) {
+            const { mesh, preview, sourceName } = this._pendingSplatSwap;
+            this._pendingSplatSwap = null;
+            this.swapInFullSplat(mesh, preview, sourceName);
+        }
+
+        const fade = this._splatCrossFade;
+        if (!fade) return;
+
+        // Fade the full splat in over the preview before fading the preview out,
+        // so the splat never looks see-through halfway
+        const t = Math.min(1, (now - fade.start) / SPLAT_CROSS_FADE_DURATION);
+        this.splatMesh.opacity = Math.min(1, t * 2);
+        fade.preview.opacity = Math.min(1, 2 - t * 2);
+
+        if (t >= 1) {
+            this.finishSplatCrossFade();
+        }
+    }
+
+    /**
+     * End the cross-fade: full splat fully opaque, preview removed and disposed
+     */
+    finishSplatCrossFade() {
+        const fade = this._splatCrossFade;
+        if (!fade) return;
+        this._splatCrossFade = null;
+        if (this.splatMesh) this.splatMesh.opacity = 1;
+        fade.preview.removeFromParent();
+        fade.preview.dispose();
+        this.requestRender();
+    }
+
+    /**
+     * Add (or replace) a splat layer - an extra SplatMesh composed into the same scene
+     * Layers share the splat group with the main splat: each layer's transform is its own,
+     * and AR placement moves the whole group
+     * @param {string} id - Unique layer id
+     * @param {Object} options - { src, transform, visible }
+     * @returns {Promise<Object>} - The layer's SplatMesh once loaded
+     */
+    async addLayer(id, { src, transform = null, visible = true } = {}) {
+        if (!id) throw new Error('Layer id is required');
+        if (!src) throw new Error(`Layer "${id}" has no src`);
+
+        this.removeLayer(id);
+
+        // sync-url: visibility from a deep link wins over the configured default
+        const linkedVisibility = this._urlLayerVisibility && this._urlLayerVisibility.get(id);
+
+        const layer = {
+            id,
+            src,
+            transform,
+            visible: linkedVisibility !== undefined ? linkedVisibility : visible !== false,
+            mesh: null,
+            abortController: new AbortController()
+        };
+        this.layers.set(id, layer);
+
+        try {
+            // Layers may be added before init() has loaded Spark
+            if (!this.library) {
+                this.library = await loadSparkLibrary();
+            }
+
+            const mesh = await this.createSplatMesh(src, { signal: layer.abortController.signal });
+
+            // Removed or replaced while loading
+            if (this.layers.get(id) !== layer) {
+                mesh.dispose();
+                throw new SplatLoadError('layer removed', 'aborted');
+            }
+
+            layer.mesh = mesh;
+            layer.abortController = null;
+            this.applyLayerTransform(layer);
+            mesh.visible = layer.visible;
+            this.attachLayer(layer);
+
+            this.dispatchViewerEvent('layer-load', { id, src, numSplats: mesh.numSplats });
+            return mesh;
+        } catch (error) {
+            if (!(error instanceof SplatLoadError && error.type === 'aborted')) {
+                console.error(`Error loading layer "${id}":`, error);
+                if (this.layers.get(id) === layer) {
+                    this.layers.delete(id);
+                }
+                this.dispatchViewerEvent('layer-error', { id, src, error, message: error.message || String(error) });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a layer, cancelling its load if still in flight
+     * @param {string} id - Layer id
+     */
+    removeLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer) return;
+        this.layers.delete(id);
+
+        if (layer.abortController) {
+            layer.abortController.abort(new SplatLoadError('layer removed', 'aborted'));
+        }
+        if (layer.mesh) {
+            if (layer.mesh.parent) layer.mesh.parent.remove(layer.mesh);
+            layer.mesh.dispose();
+            this.requestRender();
+        }
+    }
+
+    /**
+     * Show or hide a layer
+     * @param {string} id - Layer id
+     * @param {boolean} visible - Whether the layer is rendered
+     */
+    setLayerVisible(id, visible) {
+        const layer = this.layers.get(id);
+        if (!layer) return;
+        layer.visible = visible !== false;
+        if (layer.mesh) {
+            layer.mesh.visible = layer.visible;
+            this.requestRender();
+        }
+        this.scheduleURLSync();
+    }
+
+    /**
+     * Update a layer's transform (relative to the splat group, independent of the main splat)
+     * @param {string} id - Layer id
+     * @param {Object|null} transform - { position, rotate, scale } as parsed by parseTransform()
+     */
+    setLayerTransform(id, transform) {
+        const layer = this.layers.get(id);
+        if (!layer) return;
+        layer.transform = transform || null;
+        this.applyLayerTransform(layer);
+    }
+
+    applyLayerTransform(layer) {
+        const mesh = layer.mesh;
+        if (!mesh || !window.THREE) return;
+
+        const transform = layer.transform || {};
+        const position = transform.position || { x: 0, y: 0, z: 0 };
+        const rotate = transform.rotate || { x: 0, y: 0, z: 0 };
+        const scale = transform.scale || { x: 1, y: 1, z: 1 };
+
+        mesh.position.set(position.x || 0, position.y || 0, position.z || 0);
+        mesh.rotation.set(
+            (rotate.x || 0) * (Math.PI / 180),
+            (rotate.y || 0) * (Math.PI / 180),
+            (rotate.z || 0) * (Math.PI / 180),
+            'XYZ'
+        );
+        mesh.scale.set(scale.x || 1, scale.y || 1, scale.z || 1);
+        mesh.updateMatrix();
+        mesh.updateMatrixWorld(true);
+        this.requestRender();
+    }
+
+    /**
+     * Add a loaded layer to the splat group (waits for init() to create it if needed)
+     */
+    attachLayer(layer) {
+        if (layer.mesh && this.splatGroup && layer.mesh.parent !== this.splatGroup) {
+            this.splatGroup.add(layer.mesh);
+            layer.mesh.updateMatrixWorld(true);
+            this.requestRender();
+        }
+    }
+
+
+    /**
+     * Put the splat group back at the origin (AR placement and gestures move it)
+     */
+    resetSplatGroup() {
+        if (!this.splatGroup) return;
+        this.splatGroup.position.set(0, 0, 0);
+        this.splatGroup.quaternion.identity();
+        this.splatGroup.scale.set(1, 1, 1);
+        this.splatGroup.updateMatrixWorld(true);
+        this.requestRender();
+    }
+
+    async onARStart() {
+        const session = this.renderer.xr.getSession();
+        if (!session) {
+            console.warn('⚠️ [AR START] AR session not available');
+            return;
+        }
+
+        // Hotspot overlays must live inside the dom-overlay root to be visible in AR
+        this.moveHotspotsForAR(true);
+
+        // The camera feed replaces the background in AR
+        if (this.backgroundMesh) this.backgroundMesh.visible = false;
+
+        // Reset exit flag in case it was left in a bad state
+        this._isExitingAR = false;
+        
+        this.xrSession = session;
+        
+        // Performance optimization: Pause all other viewers when this one enters AR
+        // Only one viewer can be in AR at a time, so pause others to save resources
+        for (const viewer of activeViewers) {
+            if (viewer !== this && !viewer._isPaused) {
+                viewer.pauseRendering();
+                console.log('Paused other viewer for AR performance');
+            }
+        }
+        
+        // Log session capabilities (for debugging)
+        // AR session started
+        
+        // Initialize plane detection if available (ARCore on Android)
+        if (session.enabledFeatures?.includes('plane-detection') && window.XRPlanes) {
+            this.initializePlaneDetection();
+        } else {
+            // Plane detection not available - using hit-test fallback
+            this.xrPlanes = null;
+        }
 
         // Store camera state before entering AR
         this.preARCameraState = {
@@ -1535,6 +3803,8 @@ export class SplatViewer {
         this.arUXState = 'scanning';
         this.showHandPrompt();
         this.showARPrompt('Move your phone to scan the floor');
+
+        this.dispatchViewerEvent('ar-status', { status: 'session-started' });
     }
 
     async onAREnd() {
@@ -1545,10 +3815,13 @@ export class SplatViewer {
         } else {
             // Even if exitAR() was already called, ensure splat is reset to origin
             // This handles the case where back navigation ends the session
+            this.resetSplatGroup();
             if (this.splatMesh) {
                 this.applyTransformToMesh(this.splatMesh, 'desktop');
             }
         }
+
+        this.dispatchViewerEvent('ar-status', { status: 'ended' });
     }
 
     async enterAR() {
@@ -1799,6 +4072,132 @@ export class SplatViewer {
         return hitPosition;
     }
 
+    /**
+     * Apply the background and skybox-src options
+     * Solid colors, gradients and skyboxes are drawn by one full-screen mesh behind the splat;
+     * with neither set, the canvas stays transparent and shows the page behind it
+     */
+    updateBackground() {
+        if (!this.scene || !window.THREE) return;
+        const THREE = window.THREE;
+
+        const background = typeof this.options.background === 'string' ? this.options.background.trim() : '';
+        const skyboxSrc = this.options.skyboxSrc || null;
+
+        this._skyboxRequest++;
+        this.setBackgroundTexture(null);
+
+        if ((!background || background === 'transparent' || background === 'none') && !skyboxSrc) {
+            if (this.backgroundMesh) this.backgroundMesh.visible = false;
+            return;
+        }
+
+        if (!this.backgroundMesh) {
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    mode: { value: 0 },
+                    color: { value: new THREE.Color() },
+                    map: { value: null }
+                },
+                vertexShader: BACKGROUND_VERTEX_SHADER,
+                fragmentShader: BACKGROUND_FRAGMENT_SHADER,
+                depthTest: false,
+                depthWrite: false
+            });
+            this.backgroundMesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+            this.backgroundMesh.frustumCulled = false;
+            this.backgroundMesh.renderOrder = -1000;
+            this.scene.add(this.backgroundMesh);
+        }
+        const uniforms = this.backgroundMesh.material.uniforms;
+
+        // Color or gradient (also shown while a skybox is loading)
+        const value = BACKGROUND_PRESETS[background.toLowerCase()] || background;
+        uniforms.mode.value = 0;
+        uniforms.color.value.setRGB(0, 0, 0);
+        if (/^linear-gradient\(/i.test(value)) {
+            const canvas = createGradientCanvas(value);
+            if (canvas) {
+                const texture = new THREE.CanvasTexture(canvas);
+                texture.minFilter = THREE.LinearFilter;
+                texture.generateMipmaps = false;
+                this.setBackgroundTexture(texture);
+                uniforms.mode.value = 1;
+            } else {
+                console.warn(`SplatViewer: could not parse background gradient "${background}"`);
+            }
+        } else if (value && value !== 'transparent' && value !== 'none') {
+            // Color is used as raw sRGB values, matching how the splats are drawn
+            const color = new THREE.Color();
+            color.setStyle(value, THREE.SRGBColorSpace);
+            color.getRGB(uniforms.color.value, THREE.SRGBColorSpace);
+        }
+
+        // In AR the camera feed is the background
+        const isAR = !!this.xrSession && this.renderer && this.renderer.xr.isPresenting;
+        this.backgroundMesh.visible = !isAR;
+
+        if (skyboxSrc) {
+            const request = this._skyboxRequest;
+            new THREE.TextureLoader().loadAsync(skyboxSrc).then((texture) => {
+                if (request !== this._skyboxRequest || !this.backgroundMesh) {
+                    texture.dispose();
+                    return;
+                }
+                // No mipmaps: the equirectangular seam would otherwise pick a blurry level
+                texture.minFilter = THREE.LinearFilter;
+                texture.generateMipmaps = false;
+                texture.needsUpdate = true;
+                this.setBackgroundTexture(texture);
+                uniforms.mode.value = 2;
+            }).catch((error) => {
+                console.warn(`SplatViewer: could not load skybox ${skyboxSrc}:`, error);
+            });
+        }
+    }
+
+    /**
+     * Swap the backdrop texture, disposing the previous one
+     */
+    setBackgroundTexture(texture) {
+        if (this._backgroundTexture && this._backgroundTexture !== texture) {
+            this._backgroundTexture.dispose();
+        }
+        this._backgroundTexture = texture;
+        if (this.backgroundMesh) {
+            this.backgroundMesh.material.uniforms.map.value = texture;
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Get the untransformed bounds of the splat mesh (its own coordinate space)
+     * Spark's SplatMesh has no geometry, so bounds come from the splat centers
+     */
+    getSplatMeshBounds() {
+        if (!this.splatMesh) return null;
+
+        if (this.splatMesh.geometry) {
+            if (!this.splatMesh.geometry.boundingBox) {
+                this.splatMesh.geometry.computeBoundingBox();
+            }
+            if (this.splatMesh.geometry.boundingBox) {
+                return this.splatMesh.geometry.boundingBox.clone();
+            }
+        }
+
+        const centerBounds = getSplatCenterBounds(this.splatMesh);
+        if (centerBounds) {
+            return centerBounds.clone();
+        }
+
+        // Fallback: use a default bounding box if the splats are not decoded yet
+        return new window.THREE.Box3().setFromCenterAndSize(
+            new window.THREE.Vector3(0, 0, 0),
+            new window.THREE.Vector3(1, 1, 1)
+        );
+    }
+
     /**
      * Get the bounding box of the splat mesh in local space (model-viewer approach)
      * Returns the bounding box in local space (relative to mesh origin)
@@ -1811,61 +4210,30 @@ export class SplatViewer {
         // We need to transform the bounding box to account for rotation
         // but keep it in a space where we can calculate the bottom offset
         
-        const box = new window.THREE.Box3();
-        
-        // Try to get bounding box from the mesh geometry (local space)
-        if (this.splatMesh.geometry) {
-            if (!this.splatMesh.geometry.boundingBox) {
-                this.splatMesh.geometry.computeBoundingBox();
-            }
-            if (this.splatMesh.geometry.boundingBox) {
-                // Copy local bounding box (before any transforms)
-                box.copy(this.splatMesh.geometry.boundingBox);
-                
-                // Apply scale first
-                const scale = this.splatMesh.scale;
-                if (scale && (scale.x !== 1 || scale.y !== 1 || scale.z !== 1)) {
-                    box.min.x *= scale.x;
-                    box.min.y *= scale.y;
-                    box.min.z *= scale.z;
-                    box.max.x *= scale.x;
-                    box.max.y *= scale.y;
-                    box.max.z *= scale.z;
-                }
-                
-                // Apply rotation to bounding box
-                // Rotation can change which corner is the "bottom"
-                // We need to transform all 8 corners of the box and find the new min/max
-                if (this.splatMesh.quaternion && !this.splatMesh.quaternion.equals(new window.THREE.Quaternion())) {
-                    const corners = [
-                        new window.THREE.Vector3(box.min.x, box.min.y, box.min.z),
-                        new window.THREE.Vector3(box.max.x, box.min.y, box.min.z),
-                        new window.THREE.Vector3(box.min.x, box.max.y, box.min.z),
-                        new window.THREE.Vector3(box.max.x, box.max.y, box.min.z),
-                        new window.THREE.Vector3(box.min.x, box.min.y, box.max.z),
-                        new window.THREE.Vector3(box.max.x, box.min.y, box.max.z),
-                        new window.THREE.Vector3(box.min.x, box.max.y, box.max.z),
-                        new window.THREE.Vector3(box.max.x, box.max.y, box.max.z)
-                    ];
-                    
-                    // Transform all corners by rotation
-                    corners.forEach(corner => {
-                        corner.applyQuaternion(this.splatMesh.quaternion);
-                    });
-                    
-                    // Find new min/max after rotation
-                    box.makeEmpty();
-                    corners.forEach(corner => {
-                        box.expandByPoint(corner);
-                    });
-                }
-            }
-        } else {
-            // Fallback: use a default bounding box if geometry not available
-            box.setFromCenterAndSize(
-                new window.THREE.Vector3(0, 0, 0),
-                new window.THREE.Vector3(1, 1, 1)
-            );
+        const box = this.getSplatMeshBounds();
+        
+        // Apply scale first
+        const scale = this.splatMesh.scale;
+        if (scale && (scale.x !== 1 || scale.y !== 1 || scale.z !== 1)) {
+            box.min.multiply(scale);
+            box.max.multiply(scale);
+            // Negative scale (mirroring) swaps min and max
+            const min = box.min.clone().min(box.max);
+            box.max.max(box.min);
+            box.min.copy(min);
+        }
+        
+        // Apply rotation to bounding box
+        // Rotation can change which corner is the "bottom"
+        // We need to transform all 8 corners of the box and find the new min/max
+        if (this.splatMesh.quaternion && !this.splatMesh.quaternion.equals(new window.THREE.Quaternion())) {
+            const corners = getBoxCorners(box);
+            
+            // Find new min/max after rotation
+            box.makeEmpty();
+            corners.forEach(corner => {
+                box.expandByPoint(corner.applyQuaternion(this.splatMesh.quaternion));
+            });
         }
         
         return box;
@@ -1879,38 +4247,19 @@ export class SplatViewer {
         if (!this.splatMesh) return null;
         
         // Ensure matrix is up to date
-        this.splatMesh.updateMatrixWorld(true);
+        this.splatMesh.updateWorldMatrix(true, false);
         
-        // Get local bounding box first
-        const localBox = this.getSplatBoundingBoxLocal();
-        if (!localBox) {
-            // Fallback: return null if we can't compute local bounding box
+        // matrixWorld already contains scale and rotation, so start from the untransformed bounds
+        const meshBox = this.getSplatMeshBounds();
+        if (!meshBox) {
             return null;
         }
         
-        // Transform local bounding box to world space
-        // We need to transform all 8 corners of the box
-        const corners = [
-            new window.THREE.Vector3(localBox.min.x, localBox.min.y, localBox.min.z),
-            new window.THREE.Vector3(localBox.max.x, localBox.min.y, localBox.min.z),
-            new window.THREE.Vector3(localBox.min.x, localBox.max.y, localBox.min.z),
-            new window.THREE.Vector3(localBox.max.x, localBox.max.y, localBox.min.z),
-            new window.THREE.Vector3(localBox.min.x, localBox.min.y, localBox.max.z),
-            new window.THREE.Vector3(localBox.max.x, localBox.min.y, localBox.max.z),
-            new window.THREE.Vector3(localBox.min.x, localBox.max.y, localBox.max.z),
-            new window.THREE.Vector3(localBox.max.x, localBox.max.y, localBox.max.z)
-        ];
-        
-        // Transform corners to world space
-        corners.forEach(corner => {
-            corner.applyMatrix4(this.splatMesh.matrixWorld);
-        });
-        
-        // Create world-space bounding box from transformed corners
+        // Transform all 8 corners to world space and create a world-space box from them
         const worldBox = new window.THREE.Box3();
         worldBox.makeEmpty();
-        corners.forEach(corner => {
-            worldBox.expandByPoint(corner);
+        getBoxCorners(meshBox).forEach(corner => {
+            worldBox.expandByPoint(corner.applyMatrix4(this.splatMesh.matrixWorld));
         });
         
         return worldBox;
@@ -2024,6 +4373,114 @@ export class SplatViewer {
         this.manipulationRingFadeStartTime = 0;
     }
 
+    /**
+     * Create the contact shadow plane (shadow-intensity)
+     * Shared by desktop, VR and AR: in AR it sits at the placement position, under the manipulation ring
+     */
+    createContactShadow() {
+        if (this.contactShadow || !this.scene || !window.THREE) return;
+        const THREE = window.THREE;
+
+        const texture = new THREE.CanvasTexture(document.createElement('canvas'));
+        texture.minFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+
+        const geometry = new THREE.PlaneGeometry(1, 1);
+        geometry.rotateX(-Math.PI / 2); // Lie flat; canvas rows run along +Z
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            map: texture,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.contactShadow = new THREE.Mesh(geometry, material);
+        this.contactShadow.renderOrder = -1; // Before the splat, after the background
+        this.contactShadow.visible = false;
+        this.scene.add(this.contactShadow);
+    }
+
+    /**
+     * Place the contact shadow under the splat (called every frame)
+     * The footprint is recomputed only when the splat is tilted or stretched; turning it
+     * around the vertical axis or scaling it uniformly (AR gestures) just moves the plane
+     */
+    updateContactShadow() {
+        const intensity = this.options.shadowIntensity || 0;
+        const mesh = this.splatMesh;
+        if (intensity <= 0 || !mesh || !mesh.visible || !getSplatCenterBounds(mesh)) {
+            if (this.contactShadow) this.contactShadow.visible = false;
+            return;
+        }
+        this.createContactShadow();
+        if (!this.contactShadow) return;
+        const THREE = window.THREE;
+
+        // World pose: AR placement and gestures turn and scale the splat group, not the splat
+        mesh.updateWorldMatrix(true, false);
+        const quaternion = new THREE.Quaternion();
+        const meshScale = new THREE.Vector3();
+        mesh.matrixWorld.decompose(new THREE.Vector3(), quaternion, meshScale);
+
+        // Compare the current pose with the one the footprint was computed for
+        let footprint = this._shadowFootprint;
+        let yaw = 0;
+        let scale = 1;
+        if (footprint && footprint.mesh === mesh) {
+            const delta = quaternion.clone().multiply(footprint.quaternion.clone().invert());
+            scale = meshScale.x / footprint.scale.x;
+            const uniform = Math.abs(meshScale.y / footprint.scale.y - scale) < 1e-4 &&
+                Math.abs(meshScale.z / footprint.scale.z - scale) < 1e-4;
+            if (Math.abs(delta.x) < 1e-4 && Math.abs(delta.z) < 1e-4 && uniform && scale > 0) {
+                yaw = 2 * Math.atan2(delta.y, delta.w);
+            } else {
+                footprint = null;
+            }
+        } else {
+            footprint = null;
+        }
+
+        if (!footprint) {
+            const matrix = new THREE.Matrix4().compose(new THREE.Vector3(), quaternion, meshScale);
+            const result = computeSplatFootprint(mesh, matrix);
+            if (!result) {
+                this.contactShadow.visible = false;
+                return;
+            }
+            footprint = this._shadowFootprint = {
+                ...result,
+                mesh,
+                quaternion: quaternion.clone(),
+                scale: meshScale.clone(),
+                softness: null
+            };
+            yaw = 0;
+            scale = 1;
+        }
+
+        const softness = this.options.shadowSoftness;
+        if (footprint.softness !== softness) {
+            drawShadowCanvas(footprint.grid, softness, this.contactShadow.material.map.image);
+            this.contactShadow.material.map.needsUpdate = true;
+            footprint.softness = softness;
+        }
+
+        // Footprint center relative to the splat origin, turned and scaled with the splat
+        const center = new THREE.Vector3(
+            footprint.minX + footprint.width / 2,
+            0,
+            footprint.minZ + footprint.depth / 2
+        ).applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw).multiplyScalar(scale);
+
+        const box = this.getSplatBoundingBox();
+        mesh.getWorldPosition(this.contactShadow.position).add(center);
+        this.contactShadow.position.y = (box ? box.min.y : this.contactShadow.position.y) + 0.001; // Avoid z-fighting with AR floors
+        this.contactShadow.rotation.set(0, yaw, 0);
+        this.contactShadow.scale.set(footprint.width * scale, 1, footprint.depth * scale);
+        this.contactShadow.material.opacity = Math.min(1, intensity);
+        this.contactShadow.visible = true;
+    }
+
     /**
      * Show manipulation feedback ring under the splat (model-viewer style)
      * Called when user starts interacting with the splat
@@ -2048,9 +4505,9 @@ export class SplatViewer {
         
         // Position ring at splat's base
         this.manipulationRing.position.set(
-            this.splatMesh.position.x,
-            this.splatMesh.position.y + 0.002, // Slightly above floor to avoid z-fighting
-            this.splatMesh.position.z
+            this.splatGroup.position.x,
+            this.splatGroup.position.y + 0.002, // Slightly above floor to avoid z-fighting
+            this.splatGroup.position.z
         );
         
         // Scale ring based on splat size
@@ -2079,9 +4536,9 @@ export class SplatViewer {
         
         // Follow the splat's position
         this.manipulationRing.position.set(
-            this.splatMesh.position.x,
-            this.splatMesh.position.y + 0.002,
-            this.splatMesh.position.z
+            this.splatGroup.position.x,
+            this.splatGroup.position.y + 0.002,
+            this.splatGroup.position.z
         );
         
         // Update scale if splat is being scaled
@@ -2155,7 +4612,7 @@ export class SplatViewer {
             return;
         }
         
-        const position = this.splatMesh.position;
+        const position = this.splatGroup.position;
         const goal = this.goalPosition;
         
         // Calculate bounding radius for damper normalization
@@ -2180,7 +4637,7 @@ export class SplatViewer {
             
             position.set(x, y, z);
             
-            this.splatMesh.updateMatrixWorld(true);
+            this.splatGroup.updateMatrixWorld(true);
             
             // Update placement box
             this.updatePlacementBox();
@@ -2260,9 +4717,9 @@ export class SplatViewer {
         
         // Position at the center of the bounding box (XZ plane)
         this.placementBox.position.set(
-            this.splatMesh.position.x,
+            this.splatGroup.position.x,
             boundingBox.min.y, // At the bottom of the splat
-            this.splatMesh.position.z
+            this.splatGroup.position.z
         );
         
         // Scale based on bounding box size
@@ -2341,9 +4798,9 @@ export class SplatViewer {
         // Position at splat's position (pivot is at base, so splat.y IS the floor)
         if (this.splatMesh && this.splatPlaced) {
             this.debugFloorPlane.position.set(
-                this.splatMesh.position.x,
-                this.splatMesh.position.y,
-                this.splatMesh.position.z
+                this.splatGroup.position.x,
+                this.splatGroup.position.y,
+                this.splatGroup.position.z
             );
             this.debugFloorPlane.visible = true;
             this.debugFloorPlane.updateMatrixWorld(true);
@@ -2357,7 +4814,7 @@ export class SplatViewer {
             // Occasional debug logging
             if (Math.random() < 0.02) {
                 console.log('[DEBUG] Plane Y:', this.debugFloorPlane.position.y.toFixed(3),
-                    'Splat Y:', this.splatMesh.position.y.toFixed(3),
+                    'Splat Y:', this.splatGroup.position.y.toFixed(3),
                     'Goal Y:', this.goalPosition.y.toFixed(3)
                 );
             }
@@ -2529,11 +4986,11 @@ export class SplatViewer {
         // Override animation loop for AR mode
         // In XR mode, we need to render within the XR frame callback
         // Three.js handles the XR framebuffer, but we must call render() inside the callback
-        this.renderer.setAnimationLoop((time, frame) => {
+        this.setAnimationLoop((time, frame) => {
             if (!this.renderer.xr.isPresenting) {
                 // Restore desktop loop if not in AR
                 if (this.desktopAnimationLoop) {
-                    this.renderer.setAnimationLoop(this.desktopAnimationLoop);
+                    this.setAnimationLoop(this.desktopAnimationLoop);
                 }
                 return;
             }
@@ -2606,9 +5063,17 @@ export class SplatViewer {
 
             // Render scene - this is safe to call inside the XR animation frame callback
             // We've verified frame exists, so we're definitely in an XR frame callback
+            this.updateSplatCrossFade(performance.now());
+            this.updateContactShadow();
             if (this.scene && this.camera) {
                 this.renderer.render(this.scene, this.camera);
             }
+
+            // quality="auto": AR policy (Spark settings only)
+            this.updateQualityGovernor(performance.now(), 'ar');
+
+            // render() copied the XR pose into this.camera - project hotspots with it
+            this.updateHotspots();
             
             // End stats measurement
             if (this.stats) {
@@ -3056,8 +5521,8 @@ export class SplatViewer {
         // Also listen for click events on the canvas (for desktop testing)
         // Note: This should only handle placement, not gestures
         // Gestures are handled by setupARGestureControls()
-        if (this.renderer && this.renderer.domElement) {
-            const canvas = this.renderer.domElement;
+        if (this.canvas) {
+            const canvas = this.canvas;
             const clickHandler = (event) => {
                 console.log('🟣 [CLICK/TAP] Event:', event.type, 'splatPlaced:', this.splatPlaced, 'xrSession:', !!this.xrSession);
                 // Only handle if it's a quick tap (not a drag/gesture)
@@ -3200,60 +5665,63 @@ export class SplatViewer {
         }
         console.log('✅ [PLACE ON GROUND] Conditions met, placing splat');
 
-        const mesh = this.splatMesh;
+        const splat = this.splatMesh;
         
-        // Ensure mesh is visible and in the scene
-        mesh.visible = true;
-        if (!mesh.parent && this.scene) {
-            this.scene.add(mesh);
+        // Ensure mesh is visible and in its group
+        splat.visible = true;
+        if (!splat.parent && this.splatGroup) {
+            this.splatGroup.add(splat);
         }
         
-        // Force update to ensure visibility
-        mesh.updateMatrix();
-        mesh.updateMatrixWorld(true);
-        
         // Use transformAr if available
         const transformAr = this.options.transformAr;
         
-        // Apply transformAr scale FIRST (before computing bounding box, as scale affects it)
+        // transformAr is the main splat's own transform inside the group (the layers keep theirs);
+        // without it the splat keeps its scale and sits at the group origin, as in desktop mode
+        splat.position.set(
+            transformAr?.position?.x || 0,
+            transformAr?.position?.y || 0,
+            transformAr?.position?.z || 0
+        );
         if (transformAr && transformAr.scale) {
-            mesh.scale.set(
+            splat.scale.set(
                 transformAr.scale.x || 1,
                 transformAr.scale.y || 1,
                 transformAr.scale.z || 1
             );
         }
+        if (transformAr && transformAr.rotate) {
+            splat.rotation.set(
+                (transformAr.rotate.x || 0) * (Math.PI / 180),
+                (transformAr.rotate.y || 0) * (Math.PI / 180),
+                (transformAr.rotate.z || 0) * (Math.PI / 180),
+                'XYZ'
+            );
+        } else {
+            splat.quaternion.identity();
+        }
+        splat.updateMatrix();
         
-        // Apply rotation from hit quaternion, then apply transformAr rotation (before computing bounding box)
+        // Placement moves the group, so the layers come along
+        const mesh = this.splatGroup;
+        mesh.scale.set(1, 1, 1);
+        
+        // Apply rotation from hit quaternion
         if (hitQuaternion) {
             mesh.quaternion.copy(hitQuaternion);
-            
-            // Apply transformAr rotation if provided
-            if (transformAr && transformAr.rotate) {
-                const rotationX = (transformAr.rotate.x || 0) * (Math.PI / 180);
-                const rotationY = (transformAr.rotate.y || 0) * (Math.PI / 180);
-                const rotationZ = (transformAr.rotate.z || 0) * (Math.PI / 180);
-                
-                const transformEuler = new window.THREE.Euler(rotationX, rotationY, rotationZ, 'XYZ');
-                const transformQuaternion = new window.THREE.Quaternion().setFromEuler(transformEuler);
-                mesh.quaternion.multiplyQuaternions(mesh.quaternion, transformQuaternion);
-            }
-            
             mesh.rotation.setFromQuaternion(mesh.quaternion);
+        } else {
+            mesh.quaternion.identity();
         }
         
         // Pivot is at base of splat, so no offset calculation needed
         console.log('📦 [PLACEMENT] Splat placement (pivot at base):', {
             placementY: placementPosition.y.toFixed(3),
-            scale: `${mesh.scale.x.toFixed(2)}, ${mesh.scale.y.toFixed(2)}, ${mesh.scale.z.toFixed(2)}`
+            scale: `${splat.scale.x.toFixed(2)}, ${splat.scale.y.toFixed(2)}, ${splat.scale.z.toFixed(2)}`
         });
         
         // Set goalPosition directly (no offset needed since pivot is at base)
-        this.goalPosition.set(
-            placementPosition.x + (transformAr?.position?.x || 0),
-            placementPosition.y + (transformAr?.position?.y || 0),
-            placementPosition.z + (transformAr?.position?.z || 0)
-        );
+        this.goalPosition.copy(placementPosition);
         
         // Reset placement animation state
         this.placementComplete = false;
@@ -3273,7 +5741,7 @@ export class SplatViewer {
         
         // Final verification: ensure Y position matches reticle (critical for floor placement)
         if (this.reticle && this.reticle.visible) {
-            const expectedY = this.reticle.position.y + (transformAr?.position?.y || 0);
+            const expectedY = this.reticle.position.y;
             if (Math.abs(mesh.position.y - expectedY) > 0.001) {
                 console.warn('⚠️ [PLACEMENT] Y position mismatch detected, correcting...', {
                     expected: expectedY.toFixed(3),
@@ -3326,9 +5794,9 @@ export class SplatViewer {
         // Create TransformControls for AR mode (visual only - we handle interactions manually)
         // We'll create it without attaching to DOM to prevent event conflicts
         // Instead, we'll manually update it based on our gesture controls
-        this.arTransformControls = new window.TransformControls(this.camera, this.renderer.domElement);
+        this.arTransformControls = new window.TransformControls(this.camera, this.canvas);
         this.arTransformControls.attach(mesh);
-        this.arTransformControls.setMode('translate'); // Start with translate mode
+        this.arTransformControls.setMode(this.arTransformMode); // Last used mode (translate unless a deep link says otherwise)
         this.arTransformControls.setSpace('world'); // Use world space for AR
         this.arTransformControls.visible = false; // Hide the visual axes - we handle interactions via gestures
         
@@ -3445,7 +5913,7 @@ export class SplatViewer {
             return;
         }
         
-        const mesh = this.splatMesh;
+        const mesh = this.splatGroup; // Gestures move the group holding the splat and its layers
         const activeInputs = [];
         
         // Track active input sources
@@ -3756,7 +6224,7 @@ export class SplatViewer {
         const fingers = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
         if (!fingers || fingers.length === 0) return;
         
-        const mesh = this.splatMesh;
+        const mesh = this.splatGroup; // Gestures move the group holding the splat and its layers
         
         // Handle two-finger gestures (scale only)
         if (fingers.length === 2 && this.isTwoHandInteraction) {
@@ -3947,9 +6415,9 @@ export class SplatViewer {
     }
 
     setupARGestureControls() {
-        if (!this.renderer || !this.renderer.domElement) return;
+        if (!this.renderer || !this.canvas) return;
         
-        const canvas = this.renderer.domElement;
+        const canvas = this.canvas;
         
         // Remove existing gesture handlers
         if (this.arGestureHandler) {
@@ -3962,7 +6430,7 @@ export class SplatViewer {
         }
         
         if (!this.splatMesh) return;
-        const mesh = this.splatMesh;
+        const mesh = this.splatGroup; // Gestures move the group holding the splat and its layers
         
         // State for gesture tracking
         let touchStartPositions = [];
@@ -4438,11 +6906,9 @@ export class SplatViewer {
         if (!this.arTransformControls) return;
         
         // Cycle through: translate -> rotate -> scale -> translate
-        const modes = ['translate', 'rotate', 'scale'];
-        const currentIndex = modes.indexOf(this.arTransformMode);
-        const nextIndex = (currentIndex + 1) % modes.length;
-        this.arTransformMode = modes[nextIndex];
-        this.arTransformControls.setMode(this.arTransformMode);
+        const currentIndex = AR_TRANSFORM_MODES.indexOf(this.arTransformMode);
+        const nextIndex = (currentIndex + 1) % AR_TRANSFORM_MODES.length;
+        this.setARTransformMode(AR_TRANSFORM_MODES[nextIndex]);
         
         const modeNames = {
             'translate': 'Move',
@@ -4453,11 +6919,22 @@ export class SplatViewer {
         this.updateStatus(`AR mode: ${modeNames[this.arTransformMode]}. Tap to place, double-tap to switch mode.`);
     }
 
+    /**
+     * Switch the AR gesture mode ('translate', 'rotate' or 'scale')
+     * sync-url: the hash is written right away, so configuration re-merged from it keeps the new mode
+     */
+    setARTransformMode(mode) {
+        if (!AR_TRANSFORM_MODES.includes(mode)) return;
+        this.arTransformMode = mode;
+        if (this.arTransformControls) this.arTransformControls.setMode(mode);
+        if (this.options.syncUrl && this._urlStateRestored) this.writeURLState();
+    }
+
     moveSplatToPosition(hitPosition) {
         if (!this.viewer) return;
         
-        const mesh = this.viewer.splatMesh || this.viewer.getSplatMesh?.();
-        if (!mesh) return;
+        if (!this.viewer.splatMesh) return;
+        const mesh = this.splatGroup; // Moving the group brings the layers along
         
         // Position splat at hit point (ground level)
         // Use fixed offset of 0 - mesh origin is assumed to be at ground level
@@ -4514,9 +6991,9 @@ export class SplatViewer {
             }
         }
         
-        // Re-enable OrbitControls for desktop mode
+        // Re-enable OrbitControls for desktop mode (unless fly/fps navigation is selected)
         if (this.orbitControls) {
-            this.orbitControls.enabled = true;
+            this.orbitControls.enabled = this._controlsMode === 'orbit';
         }
         
         // Clean up hit-test sources
@@ -4552,8 +7029,8 @@ export class SplatViewer {
         }
         
         // Remove gesture handlers
-        if (this.arGestureHandler && this.renderer && this.renderer.domElement) {
-            const canvas = this.renderer.domElement;
+        if (this.arGestureHandler && this.canvas) {
+            const canvas = this.canvas;
             canvas.removeEventListener('touchstart', this.arGestureHandler);
             canvas.removeEventListener('touchmove', this.arGestureHandler);
             canvas.removeEventListener('touchend', this.arGestureHandler);
@@ -4564,8 +7041,8 @@ export class SplatViewer {
         }
         
                 // Remove tap event handlers
-                if (this.arTapHandler && this.renderer && this.renderer.domElement) {
-                    const canvas = this.renderer.domElement;
+                if (this.arTapHandler && this.canvas) {
+                    const canvas = this.canvas;
                     canvas.removeEventListener('click', this.arTapHandler);
                     canvas.removeEventListener('touchend', this.arTapHandler);
                     this.arTapHandler = null;
@@ -4618,13 +7095,14 @@ export class SplatViewer {
         if (this.splatMesh) {
             console.log('🔴 [EXIT AR] Restoring splat mesh for desktop mode');
             
-            // Ensure mesh is in scene
-            if (!this.splatMesh.parent && this.scene) {
-                this.scene.add(this.splatMesh);
+            // Ensure mesh is in its group
+            if (!this.splatMesh.parent && this.splatGroup) {
+                this.splatGroup.add(this.splatMesh);
             }
             
             // Always apply desktop transform when returning to desktop mode
             // This resets the splat to the center for proper viewing
+            this.resetSplatGroup();
             this.applyTransformToMesh(this.splatMesh, 'desktop');
             
             // Make sure mesh is visible (same as initial load)
@@ -4668,19 +7146,17 @@ export class SplatViewer {
                 
                 // Update renderer size
                 if (width > 0 && height > 0) {
-                    this.renderer.setSize(width, height);
-                    this.renderer.setPixelRatio(window.devicePixelRatio);
+                    this.setRendererSize(width, height);
                     console.log('🔴 [EXIT AR] Renderer size updated:', { width, height, containerWidth: this.container.clientWidth, containerHeight: this.container.clientHeight });
                 } else {
                     console.warn('🔴 [EXIT AR] Container has zero dimensions, using window size');
-                    this.renderer.setSize(window.innerWidth, window.innerHeight);
-                    this.renderer.setPixelRatio(window.devicePixelRatio);
+                    this.setRendererSize(window.innerWidth, window.innerHeight);
                 }
             }
             
             // Restore desktop animation loop (same as initial load)
             if (this.desktopAnimationLoop && this.renderer) {
-                this.renderer.setAnimationLoop(this.desktopAnimationLoop);
+                this.setAnimationLoop(this.desktopAnimationLoop);
             } else if (this.renderer) {
                 // Fallback: recreate desktop loop if it was lost
                 this.setupAnimationLoop();
@@ -4694,9 +7170,9 @@ export class SplatViewer {
             
             // Ensure mesh is visible and properly set up (same as initial load)
             if (this.splatMesh) {
-                // Double-check mesh is in scene
-                if (!this.splatMesh.parent && this.scene) {
-                    this.scene.add(this.splatMesh);
+                // Double-check mesh is in its group
+                if (!this.splatMesh.parent && this.splatGroup) {
+                    this.splatGroup.add(this.splatMesh);
                 }
                 
                 // Ensure visibility (same as initial load after transform)
@@ -4706,31 +7182,1041 @@ export class SplatViewer {
                 this.splatMesh.updateMatrix();
                 this.splatMesh.updateMatrixWorld(true);
             }
-            
-            // Force an immediate render to ensure mesh is visible (same as initial load)
-            if (this.renderer && this.scene && this.camera && !this.renderer.xr.isPresenting) {
-                this.renderer.render(this.scene, this.camera);
+            
+            // Force an immediate render to ensure mesh is visible (same as initial load)
+            if (this.renderer && this.scene && this.camera && !this.renderer.xr.isPresenting) {
+                this.renderView();
+            }
+            
+            console.log('🔴 [EXIT AR] Desktop mode restored', {
+                meshVisible: this.splatMesh?.visible,
+                meshInScene: !!this.splatMesh?.parent,
+                animationLoop: !!this.desktopAnimationLoop,
+                orbitControls: !!this.orbitControls?.enabled
+            });
+        }, 100);
+
+        if (this.xrButton) {
+            this.xrButton.classList.remove('hidden');
+            this.xrButton.style.display = ''; // Remove inline display:none
+            this.xrButton.disabled = false; // Re-enable the button
+        }
+        this.updateStatus('Exited AR mode.');
+    }
+
+    /**
+     * Find a named viewpoint from <splat-viewpoint> children or the viewpoints attribute
+     * @param {string} name - Viewpoint name
+     * @returns {Object|null} - { name, position, lookAt, fov, thumbnail }
+     */
+    getViewpoint(name) {
+        const viewpoints = this.options.viewpoints || [];
+        return viewpoints.find((viewpoint) => viewpoint.name === name) || null;
+    }
+
+    /**
+     * Animate the desktop camera to a named viewpoint
+     * @param {string} name - Viewpoint name
+     * @param {Object} options - { duration (ms, default 1000), easing (name or function, default 'ease-in-out') }
+     * @returns {Promise<boolean>} - true when the viewpoint was reached, false if interrupted
+     */
+    goToViewpoint(name, { duration = 1000, easing = 'ease-in-out' } = {}) {
+        const viewpoint = this.getViewpoint(name);
+        if (!viewpoint) {
+            return Promise.reject(new Error(`Unknown viewpoint: ${name}`));
+        }
+
+        // sync-group: the other viewers follow the transition
+        this.takeSyncLead();
+
+        return this.animateCamera({
+            position: viewpoint.position,
+            target: viewpoint.lookAt,
+            fov: viewpoint.fov
+        }, { duration, easing }).then((completed) => {
+            if (completed) {
+                this.dispatchViewerEvent('viewpoint-change', { name });
+            }
+            return completed;
+        });
+    }
+
+    /**
+     * Move the desktop camera and OrbitControls target together
+     * Any missing part (position, target, fov) keeps its current value
+     * @param {Object} goal - { position: {x,y,z}, target: {x,y,z}, fov }
+     * @param {Object} options - { duration (ms), easing (name or function) }
+     * @returns {Promise<boolean>} - true when the goal was reached, false if interrupted
+     */
+    animateCamera(goal, { duration = 1000, easing = 'ease-in-out' } = {}) {
+        if (!this.camera || !window.THREE) {
+            return Promise.resolve(false);
+        }
+        // AR and VR own the camera
+        if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting) {
+            console.warn('SplatViewer: camera transitions are only available in desktop mode');
+            return Promise.resolve(false);
+        }
+
+        this.cancelCameraTransition();
+
+        const THREE = window.THREE;
+        const currentTarget = this.orbitControls ? this.orbitControls.target.clone() : new THREE.Vector3();
+        const toVector = (value, fallback) => (value ? new THREE.Vector3(value.x, value.y, value.z) : fallback.clone());
+        const easingFn = typeof easing === 'function' ? easing : (EASING_FUNCTIONS[easing] || EASING_FUNCTIONS['ease-in-out']);
+
+        // Land inside the camera constraints rather than sliding back after arriving
+        const toPosition = toVector(goal.position, this.camera.position);
+        const toTarget = toVector(goal.target, currentTarget);
+        this.constrainCamera(toPosition, toTarget);
+
+        return new Promise((resolve) => {
+            this.cameraTransition = {
+                fromPosition: this.camera.position.clone(),
+                toPosition,
+                fromTarget: currentTarget,
+                toTarget,
+                fromFov: this.camera.fov,
+                toFov: goal.fov > 0 ? goal.fov : this.camera.fov,
+                start: performance.now(),
+                duration: Math.max(0, duration),
+                easing: easingFn,
+                resolve
+            };
+
+            // Zero-length transitions jump immediately, even while rendering is paused
+            if (this.cameraTransition.duration === 0) {
+                this.updateCameraTransition(performance.now());
+            }
+        });
+    }
+
+    updateCameraTransition(now) {
+        const transition = this.cameraTransition;
+        if (!transition) return;
+
+        const t = transition.duration > 0 ? Math.min(1, (now - transition.start) / transition.duration) : 1;
+        const k = transition.easing(t);
+
+        this.camera.position.lerpVectors(transition.fromPosition, transition.toPosition, k);
+        const target = this.orbitControls ? this.orbitControls.target : new window.THREE.Vector3();
+        target.lerpVectors(transition.fromTarget, transition.toTarget, k);
+        // The straight path between two valid poses can still cut through the limits (e.g. under the floor)
+        this.constrainCamera(this.camera.position, target);
+        this.camera.lookAt(target);
+
+        if (transition.fromFov !== transition.toFov) {
+            this.camera.fov = transition.fromFov + (transition.toFov - transition.fromFov) * k;
+            this.camera.updateProjectionMatrix();
+        }
+
+        if (t >= 1) {
+            this.cameraTransition = null;
+            if (this.orbitControls) this.orbitControls.update();
+            this.scheduleURLSync();
+            transition.resolve(true);
+        }
+    }
+
+    cancelCameraTransition() {
+        if (!this.cameraTransition) return;
+        const transition = this.cameraTransition;
+        this.cameraTransition = null;
+        transition.resolve(false);
+    }
+
+    /**
+     * Fit the splat in view: orbit around its bounding-box center at a distance where it fills the view
+     * Keeps the current viewing direction and sets OrbitControls min/max distance to match the splat size
+     * @param {Object} options - { padding (fraction of the size, default camera-framing-padding), duration (ms, default 0), easing }
+     * @returns {Promise<boolean>} - true when the camera reached the framed position
+     */
+    frameSplat({ padding = this.options.cameraFramingPadding, duration = 0, easing } = {}) {
+        if (!this.camera || !window.THREE) return Promise.resolve(false);
+        if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting) return Promise.resolve(false);
+
+        const box = this.getSplatBoundingBox();
+        if (!box || box.isEmpty()) return Promise.resolve(false);
+
+        const THREE = window.THREE;
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = Math.max(box.getBoundingSphere(new THREE.Sphere()).radius, 0.001);
+
+        // Fit the bounding sphere inside the narrower of the vertical and horizontal FOV
+        const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        const fitFov = Math.min(verticalFov, horizontalFov);
+        const distance = radius * (1 + Math.max(0, padding || 0)) / Math.sin(fitFov / 2);
+
+        // Look from the same direction as before (camera-position relative to camera-look-at)
+        const currentTarget = this.orbitControls ? this.orbitControls.target : new THREE.Vector3();
+        const direction = this.camera.position.clone().sub(currentTarget);
+        if (direction.lengthSq() < 1e-10) direction.set(0, 0, 1);
+        direction.normalize();
+
+        this.framingLimits = { minDistance: radius * 0.1, maxDistance: distance * 5 };
+        this.applyCameraConstraints();
+
+        // Keep the splat inside the clipping range at every allowed zoom level
+        const near = Math.min(0.1, this.framingLimits.minDistance * 0.1);
+        const far = Math.max(1000, this.framingLimits.maxDistance + radius * 2);
+        if (this.camera.near !== near || this.camera.far !== far) {
+            this.camera.near = near;
+            this.camera.far = far;
+            this.camera.updateProjectionMatrix();
+        }
+
+        return this.animateCamera({
+            position: center.clone().addScaledVector(direction, distance),
+            target: center
+        }, { duration, easing });
+    }
+
+    /**
+     * Apply orbit limits (camera-min/max-* attributes, falling back to the zoom limits chosen
+     * by frameSplat()) to OrbitControls, and measure the ground height for camera-ground
+     * Called again whenever OrbitControls is recreated (after AR and VR) or the splat moves
+     */
+    applyCameraConstraints() {
+        const constraints = this.options.cameraConstraints || {};
+        const degToRad = window.THREE.MathUtils.degToRad;
+
+        // World-space floor of the splat; camera-ground keeps the camera above it
+        const box = constraints.ground ? this.getSplatBoundingBox() : null;
+        this._cameraGroundHeight = box && !box.isEmpty() ? box.min.y : null;
+
+        if (!this.orbitControls) return;
+        const limits = this.framingLimits || { minDistance: 0.1, maxDistance: 100 };
+        const controls = this.orbitControls;
+        controls.minDistance = constraints.minDistance !== undefined ? constraints.minDistance : limits.minDistance;
+        controls.maxDistance = constraints.maxDistance !== undefined ? constraints.maxDistance : limits.maxDistance;
+        controls.minPolarAngle = constraints.minPolarAngle !== undefined ? degToRad(constraints.minPolarAngle) : 0;
+        controls.maxPolarAngle = constraints.maxPolarAngle !== undefined ? degToRad(constraints.maxPolarAngle) : Math.PI;
+        controls.minAzimuthAngle = constraints.minAzimuthAngle !== undefined ? degToRad(constraints.minAzimuthAngle) : -Infinity;
+        controls.maxAzimuthAngle = constraints.maxAzimuthAngle !== undefined ? degToRad(constraints.maxAzimuthAngle) : Infinity;
+    }
+
+    /**
+     * Move a camera position / orbit target pair back inside the camera constraints (in place)
+     * Mirrors OrbitControls' own clamping so animated transitions obey the same limits as user input
+     * @param {THREE.Vector3} position - Camera position
+     * @param {THREE.Vector3|null} target - Orbit target, or null for fly / fps navigation
+     */
+    constrainCamera(position, target) {
+        const constraints = this.options.cameraConstraints || {};
+        const THREE = window.THREE;
+
+        // Pan bounds limit the orbit target (or the camera itself while flying); the camera follows the target
+        const bounds = constraints.panBounds;
+        if (bounds) {
+            const box = new THREE.Box3(
+                new THREE.Vector3(bounds.min.x, bounds.min.y, bounds.min.z),
+                new THREE.Vector3(bounds.max.x, bounds.max.y, bounds.max.z)
+            );
+            const point = target || position;
+            const before = point.clone();
+            box.clampPoint(point, point);
+            if (target) position.add(point.clone().sub(before));
+        }
+
+        if (target && this.orbitControls) {
+            const controls = this.orbitControls;
+            const offset = position.clone().sub(target);
+            const spherical = new THREE.Spherical().setFromVector3(offset);
+
+            let min = controls.minAzimuthAngle;
+            let max = controls.maxAzimuthAngle;
+            if (isFinite(min) && isFinite(max)) {
+                const twoPI = 2 * Math.PI;
+                if (min < -Math.PI) min += twoPI; else if (min > Math.PI) min -= twoPI;
+                if (max < -Math.PI) max += twoPI; else if (max > Math.PI) max -= twoPI;
+                if (min <= max) {
+                    spherical.theta = Math.max(min, Math.min(max, spherical.theta));
+                } else {
+                    spherical.theta = (spherical.theta > (min + max) / 2) ?
+                        Math.max(min, spherical.theta) :
+                        Math.min(max, spherical.theta);
+                }
+            }
+            spherical.phi = Math.max(controls.minPolarAngle, Math.min(controls.maxPolarAngle, spherical.phi));
+            spherical.makeSafe();
+            spherical.radius = Math.max(controls.minDistance, Math.min(controls.maxDistance, spherical.radius));
+
+            position.copy(target).add(offset.setFromSpherical(spherical));
+        }
+
+        // Keep the camera (and its near plane) above the splat floor
+        if (constraints.ground && this._cameraGroundHeight !== null && this._cameraGroundHeight !== undefined) {
+            const floor = this._cameraGroundHeight + this.camera.near * 2;
+            if (position.y < floor) position.y = floor;
+        }
+    }
+
+    /**
+     * Render one overlay button per viewpoint (viewpoint-buttons attribute)
+     */
+    renderViewpointButtons() {
+        if (!this.viewpointButtons) return;
+
+        this.viewpointButtons.innerHTML = '';
+        const viewpoints = this.options.viewpoints || [];
+        const show = this.options.viewpointButtons && viewpoints.length > 0;
+        this.viewpointButtons.classList.toggle('visible', !!show);
+        if (!show) return;
+
+        viewpoints.forEach((viewpoint) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'viewpoint-button';
+            button.setAttribute('data-splat-viewer-ui', '');
+            button.title = viewpoint.name;
+
+            if (viewpoint.thumbnail) {
+                const img = document.createElement('img');
+                img.src = viewpoint.thumbnail;
+                img.alt = viewpoint.name;
+                button.classList.add('has-thumbnail');
+                button.appendChild(img);
+            } else {
+                button.textContent = viewpoint.name;
+            }
+
+            button.addEventListener('click', () => {
+                this.goToViewpoint(viewpoint.name).catch(() => {});
+            });
+            this.viewpointButtons.appendChild(button);
+        });
+    }
+
+    /**
+     * Render the current desktop view off-screen and encode it as an image
+     * Output larger than the GPU's maximum render target size is rendered in tiles
+     * @param {Object} options - { width, height (pixels, default: canvas size), transparent, format ('png'|'jpeg'|'webp'), quality (0-1) }
+     * @returns {Promise<Blob>}
+     */
+    async captureImage({ width, height, transparent = false, format = 'png', quality } = {}) {
+        const mimeType = getCaptureMimeType(format);
+        const size = this.getCaptureSize(width, height);
+
+        // JPEG has no alpha channel
+        const background = transparent && mimeType !== 'image/jpeg'
+            ? null
+            : getOpaqueBackgroundColor(this.getViewerElement());
+
+        // Same view as the canvas, reshaped to the requested aspect ratio
+        const camera = this.camera.clone();
+        camera.aspect = size.width / size.height;
+        camera.updateProjectionMatrix();
+        camera.updateMatrixWorld(true);
+
+        const output = await this.withLiveLoopStopped(() => this.renderCaptureCanvas(camera, { ...size, background }));
+        const blob = await encodeCanvas(output, mimeType, quality);
+
+        this.dispatchViewerEvent('capture', { blob, width: size.width, height: size.height, format: mimeType });
+        return blob;
+    }
+
+    /**
+     * Validate capture preconditions and resolve the output size
+     * @returns {{width: number, height: number}}
+     */
+    getCaptureSize(width, height) {
+        if (!this.renderer || !this.scene || !this.camera) {
+            throw new Error('Viewer not initialized');
+        }
+        if (this.renderer.xr.isPresenting) {
+            throw new Error('Capturing is not available during an AR or VR session');
+        }
+
+        const canvas = this.canvas;
+        const pixelRatio = this.renderer.getPixelRatio();
+        const size = {
+            width: Math.round(width || canvas.clientWidth * pixelRatio),
+            height: Math.round(height || canvas.clientHeight * pixelRatio)
+        };
+        if (!(size.width > 0 && size.height > 0)) {
+            throw new Error('Capture needs a positive width and height');
+        }
+        return size;
+    }
+
+    /**
+     * Render the scene from a camera into a new 2D canvas, tile by tile
+     * @param {Object} camera - Camera to render from (aspect must match width/height)
+     * @param {Object} options - { width, height, background ([r,g,b] or null for transparent) }
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderCaptureCanvas(camera, { width, height, background }) {
+        const THREE = window.THREE;
+        const maxTileSize = Math.min(this.renderer.capabilities.maxTextureSize, 4096);
+        const tileWidth = Math.min(width, maxTileSize);
+        const tileHeight = Math.min(height, maxTileSize);
+        const renderTarget = new THREE.WebGLRenderTarget(tileWidth, tileHeight, {
+            format: THREE.RGBAFormat,
+            type: THREE.UnsignedByteType
+        });
+        const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+
+        const renderTile = (x, y, w, h) => {
+            const previousTarget = this.renderer.getRenderTarget();
+            const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+            const previousClearAlpha = this.renderer.getClearAlpha();
+            // Spark sizes splats from the drawing buffer size, not the render target - report the tile size instead
+            const getDrawingBufferSize = this.renderer.getDrawingBufferSize;
+            this.renderer.getDrawingBufferSize = (target) => target.set(w, h);
+            // Transparent captures leave out the background / skybox
+            const backgroundVisible = this.backgroundMesh ? this.backgroundMesh.visible : false;
+            if (this.backgroundMesh && !background) this.backgroundMesh.visible = false;
+
+            try {
+                camera.setViewOffset(width, height, x, y, w, h);
+                renderTarget.setSize(w, h);
+                this.renderer.setRenderTarget(renderTarget);
+                this.renderer.setClearColor(0x000000, 0);
+                this.renderer.clear();
+                this.renderer.render(this.scene, camera);
+                this.renderer.readRenderTargetPixels(renderTarget, 0, 0, w, h, pixels);
+            } finally {
+                if (this.backgroundMesh) this.backgroundMesh.visible = backgroundVisible;
+                this.renderer.getDrawingBufferSize = getDrawingBufferSize;
+                this.renderer.setRenderTarget(previousTarget);
+                this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+            }
+        };
+
+        try {
+            // The first render from a new viewpoint starts a splat sort; wait for it so splats are drawn in order
+            renderTile(0, 0, tileWidth, tileHeight);
+            await this.waitForSplatSort();
+            if (!this.renderer) throw new Error('Viewer was disposed during capture');
+
+            for (let y = 0; y < height; y += tileHeight) {
+                for (let x = 0; x < width; x += tileWidth) {
+                    const w = Math.min(tileWidth, width - x);
+                    const h = Math.min(tileHeight, height - y);
+                    renderTile(x, y, w, h);
+
+                    const imageData = context.createImageData(w, h);
+                    copyCapturePixels(pixels, imageData.data, w, h, background);
+                    context.putImageData(imageData, x, y);
+                }
+            }
+        } finally {
+            renderTarget.dispose();
+        }
+
+        return output;
+    }
+
+    /**
+     * Orbit the camera around the OrbitControls target and record every frame
+     * Camera poses depend only on the frame index (no wall-clock damping), so output is reproducible
+     * @param {Object} options - { frames (default 120), degrees (360), axis ('x'|'y'|'z'|{x,y,z}, default 'y'),
+     *   fps (30), format ('webm'|'png'), width, height, transparent (png only), videoBitsPerSecond }
+     * @returns {Promise<Blob|Blob[]>} - A WebM video, or one PNG Blob per frame
+     */
+    async recordTurntable({
+        frames = 120,
+        degrees = 360,
+        axis = 'y',
+        fps = 30,
+        format = 'webm',
+        width,
+        height,
+        transparent = false,
+        videoBitsPerSecond
+    } = {}) {
+        const size = this.getCaptureSize(width, height);
+        if (!(frames >= 1) || !(fps > 0)) {
+            throw new Error('recordTurntable() needs frames >= 1 and fps > 0');
+        }
+        if (format !== 'webm' && format !== 'png') {
+            throw new Error(`Unsupported turntable format: ${format}. Use webm or png.`);
+        }
+        if (this._recordingTurntable) {
+            throw new Error('A turntable recording is already running');
+        }
+
+        const THREE = window.THREE;
+        const axes = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+        const axisVector = typeof axis === 'string'
+            ? axes[axis.toLowerCase()]
+            : (axis ? new THREE.Vector3(axis.x || 0, axis.y || 0, axis.z || 0) : null);
+        if (!axisVector || axisVector.lengthSq() === 0) {
+            throw new Error(`Invalid turntable axis: ${JSON.stringify(axis)}`);
+        }
+        axisVector.normalize();
+
+        // Orbit a private camera so the on-screen view is left untouched
+        const target = this.orbitControls ? this.orbitControls.target.clone() : new THREE.Vector3();
+        const offset = this.camera.position.clone().sub(target);
+        const up = this.camera.up.clone();
+        const camera = this.camera.clone();
+        camera.aspect = size.width / size.height;
+        camera.updateProjectionMatrix();
+
+        const rotation = new THREE.Quaternion();
+        const poseFrame = (index) => {
+            // degrees * index / frames: a full 360 turn loops without repeating the first frame
+            rotation.setFromAxisAngle(axisVector, THREE.MathUtils.degToRad(degrees * index / frames));
+            camera.position.copy(offset).applyQuaternion(rotation).add(target);
+            camera.up.copy(up).applyQuaternion(rotation);
+            camera.lookAt(target);
+            camera.updateMatrixWorld(true);
+        };
+
+        const background = format === 'png' && transparent ? null : getOpaqueBackgroundColor(this.getViewerElement());
+
+        this._recordingTurntable = true;
+        try {
+            return await this.withLiveLoopStopped(async () => {
+                if (format === 'png') {
+                    const images = [];
+                    for (let i = 0; i < frames; i++) {
+                        poseFrame(i);
+                        const frameCanvas = await this.renderCaptureCanvas(camera, { ...size, background });
+                        images.push(await encodeCanvas(frameCanvas, 'image/png'));
+                    }
+                    return images;
+                }
+
+                return this.recordTurntableVideo(size, frames, fps, videoBitsPerSecond, async (index) => {
+                    poseFrame(index);
+                    return this.renderCaptureCanvas(camera, { ...size, background });
+                });
+            });
+        } finally {
+            this._recordingTurntable = false;
+        }
+    }
+
+    /**
+     * Run a capture with the live desktop loop stopped
+     * Spark's default viewpoint re-sorts for whichever camera rendered last, so on-screen
+     * frames in between capture renders would leave capture frames drawn in the wrong order
+     */
+    async withLiveLoopStopped(task) {
+        this._captureDepth++;
+        this.setAnimationLoop(null);
+        try {
+            return await task();
+        } finally {
+            this._captureDepth--;
+            if (this._captureDepth === 0 && this.renderer && !this._isPaused
+                && !this.renderer.xr.isPresenting && this.desktopAnimationLoop) {
+                this.setAnimationLoop(this.desktopAnimationLoop);
+                this.requestRender();
+            }
+        }
+    }
+
+    /**
+     * Feed rendered frames to a MediaRecorder at the requested frame rate
+     * MediaRecorder timestamps frames by wall clock, so frames are paced to 1/fps
+     */
+    async recordTurntableVideo(size, frames, fps, videoBitsPerSecond, renderFrame) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not available in this browser - use format: "png"');
+        }
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find((type) => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM video - use format: "png"');
+        }
+
+        const recordingCanvas = document.createElement('canvas');
+        recordingCanvas.width = size.width;
+        recordingCanvas.height = size.height;
+        const context = recordingCanvas.getContext('2d');
+
+        // Frame rate 0: frames are only captured when requestFrame() is called
+        const stream = recordingCanvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('MediaRecorder failed'));
+        });
+
+        recorder.start();
+        try {
+            const frameDuration = 1000 / fps;
+            let nextFrameTime = performance.now();
+
+            for (let i = 0; i < frames; i++) {
+                const frameCanvas = await renderFrame(i);
+                context.drawImage(frameCanvas, 0, 0);
+                if (track.requestFrame) track.requestFrame();
+
+                nextFrameTime += frameDuration;
+                const wait = nextFrameTime - performance.now();
+                if (wait > 0) {
+                    await new Promise((resolve) => setTimeout(resolve, wait));
+                }
+            }
+        } finally {
+            if (recorder.state !== 'inactive') recorder.stop();
+            track.stop();
+        }
+        await stopped;
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Find the SparkRenderer that SplatMesh creates automatically on first render
+     */
+    getSparkRenderer() {
+        if (this._sparkRenderer && this._sparkRenderer.parent) return this._sparkRenderer;
+        this._sparkRenderer = null;
+        if (!this.scene || !this.library || !this.library.SparkRenderer) return null;
+        this.scene.traverse((child) => {
+            if (!this._sparkRenderer && child instanceof this.library.SparkRenderer) {
+                this._sparkRenderer = child;
+            }
+        });
+        return this._sparkRenderer;
+    }
+
+    /**
+     * Resolve once Spark has finished sorting splats for the last rendered viewpoint
+     * A render only schedules Spark's update (which queues the sort) on a timer, so wait for that too.
+     * Rejects after SPLAT_SORT_TIMEOUT rather than capturing with a stale sort order; Spark leaves
+     * viewpoint.sorting set when a sort fails, so waiting longer would never finish.
+     */
+    async waitForSplatSort() {
+        const spark = this.getSparkRenderer();
+        if (!spark || !spark.viewpoint) return;
+
+        const isSettled = () => {
+            const updateScheduled = spark.pendingUpdate && spark.pendingUpdate.timeoutId !== -1;
+            return !updateScheduled && !spark.viewpoint.sorting && !spark.viewpoint.pending;
+        };
+        const start = performance.now();
+        do {
+            await new Promise((resolve) => setTimeout(resolve, 4));
+            if (performance.now() - start > SPLAT_SORT_TIMEOUT) {
+                throw new Error(`Splat sort did not finish within ${SPLAT_SORT_TIMEOUT / 1000} seconds`);
+            }
+        } while (this.renderer && !isSettled());
+    }
+
+    /**
+     * Overlay capture button (capture-button attribute) - saves a PNG at twice the canvas resolution
+     */
+    async downloadCapture() {
+        try {
+            const pixelRatio = this.renderer.getPixelRatio();
+            const canvas = this.canvas;
+            const blob = await this.captureImage({
+                width: Math.round(canvas.clientWidth * pixelRatio * 2),
+                height: Math.round(canvas.clientHeight * pixelRatio * 2)
+            });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'splat-capture.png';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Capture failed:', error);
+            this.updateStatus('Capture failed: ' + error.message);
+        }
+    }
+
+    updateCaptureButton() {
+        if (!this.captureButton) return;
+        this.captureButton.classList.toggle('hidden', !this.options.captureButton);
+    }
+
+    /**
+     * Re-read <splat-hotspot> elements (called when hotspots are added, removed or edited)
+     */
+    refreshHotspots() {
+        const host = this.getViewerElement();
+        if (!host || !window.THREE) return;
+
+        const previous = new Map(this.hotspots.map((hotspot) => [hotspot.element, hotspot]));
+        this.hotspots = [];
+
+        host.querySelectorAll('splat-hotspot').forEach((element) => {
+            const position = parseVector3(element.getAttribute('position'));
+            if (!position) {
+                console.warn('splat-hotspot: missing or invalid position attribute', element);
+                return;
+            }
+            const normal = parseVector3(element.getAttribute('normal'));
+            const existing = previous.get(element);
+
+            this.hotspots.push({
+                element,
+                name: element.getAttribute('slot') || '',
+                position: new window.THREE.Vector3(position.x, position.y, position.z),
+                normal: normal ? new window.THREE.Vector3(normal.x, normal.y, normal.z).normalize() : null,
+                occluded: existing ? existing.occluded : false,
+                // Where to put the element back after an AR session moved it into the dom-overlay root
+                home: existing ? existing.home : null
+            });
+        });
+    }
+
+    /**
+     * Project hotspots into overlay coordinates for the current camera
+     * Hidden while the splat is hidden (AR scanning) and in VR, where DOM overlays can't be shown
+     */
+    updateHotspots() {
+        if (this.hotspots.length === 0 || !this.camera) return;
+
+        const THREE = window.THREE;
+        const isAR = !!this.xrSession && this.renderer.xr.isPresenting;
+        const show = this.splatMesh && this.splatMesh.visible && !this.vrSession;
+
+        if (!show) {
+            this.hotspots.forEach((hotspot) => hotspot.element.removeAttribute('data-visible'));
+            return;
+        }
+
+        // Desktop overlays are positioned inside the viewer element; the AR dom-overlay is full screen
+        const canvas = this.canvas;
+        const width = isAR ? window.innerWidth : canvas.clientWidth;
+        const height = isAR ? window.innerHeight : canvas.clientHeight;
+
+        const matrixWorld = this.splatMesh.matrixWorld;
+        const cameraPosition = new THREE.Vector3().setFromMatrixPosition(this.camera.matrixWorld);
+        const world = new THREE.Vector3();
+        const ndc = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+
+        this.updateHotspotOcclusion(cameraPosition, isAR);
+
+        for (const hotspot of this.hotspots) {
+            world.copy(hotspot.position).applyMatrix4(matrixWorld);
+            ndc.copy(world).project(this.camera);
+
+            const inFront = ndc.z > -1 && ndc.z < 1;
+            const onScreen = Math.abs(ndc.x) <= 1.1 && Math.abs(ndc.y) <= 1.1;
+
+            // Hotspots on surfaces facing away from the camera fade out
+            let facing = true;
+            if (hotspot.normal) {
+                normal.copy(hotspot.normal).transformDirection(matrixWorld);
+                toCamera.subVectors(cameraPosition, world);
+                facing = normal.dot(toCamera) > 0;
+            }
+
+            const element = hotspot.element;
+            const x = (ndc.x + 1) / 2 * width;
+            const y = (1 - ndc.y) / 2 * height;
+            element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -50%)`;
+            element.toggleAttribute('data-visible', inFront && onScreen);
+            element.toggleAttribute('data-occluded', !facing || hotspot.occluded);
+        }
+    }
+
+    /**
+     * Raycast against the splats to find hotspots hidden behind other geometry
+     * One hotspot per interval, so the cost stays flat regardless of hotspot count
+     */
+    updateHotspotOcclusion(cameraPosition, isAR) {
+        const now = performance.now();
+        const interval = isAR ? 250 : 100;
+        if (now - this._hotspotOcclusionTime < interval) return;
+        this._hotspotOcclusionTime = now;
+
+        const THREE = window.THREE;
+        const index = this._hotspotOcclusionIndex++ % this.hotspots.length;
+        const hotspot = this.hotspots[index];
+
+        const world = hotspot.position.clone().applyMatrix4(this.splatMesh.matrixWorld);
+        const direction = world.clone().sub(cameraPosition);
+        const distance = direction.length();
+        if (distance === 0) return;
+
+        if (!this._hotspotRaycaster) {
+            this._hotspotRaycaster = new THREE.Raycaster();
+        }
+        const raycaster = this._hotspotRaycaster;
+        raycaster.set(cameraPosition, direction.normalize());
+        raycaster.near = 0;
+        // Stop short of the hotspot so the splats it sits on don't count as occluders
+        raycaster.far = distance * 0.95;
+
+        try {
+            hotspot.occluded = raycaster.intersectObject(this.splatMesh, true).length > 0;
+        } catch (error) {
+            hotspot.occluded = false;
+        }
+    }
+
+    /**
+     * Move hotspot elements into (or back out of) the AR dom-overlay root
+     * Only the dom-overlay subtree is displayed during an immersive-ar session
+     * @param {boolean} toOverlay - true when entering AR
+     */
+    moveHotspotsForAR(toOverlay) {
+        if (!this.arOverlay) return;
+
+        this._movingHotspots = true;
+        try {
+            for (const hotspot of this.hotspots) {
+                const element = hotspot.element;
+                if (toOverlay) {
+                    if (element.parentNode === this.arOverlay) continue;
+                    hotspot.home = { parent: element.parentNode, next: element.nextSibling };
+                    this.arOverlay.appendChild(element);
+                } else if (hotspot.home) {
+                    const { parent, next } = hotspot.home;
+                    parent.insertBefore(element, next && next.parentNode === parent ? next : null);
+                    hotspot.home = null;
+                }
+            }
+        } finally {
+            this._movingHotspots = false;
+        }
+    }
+
+    /**
+     * Called by <splat-hotspot> when it is clicked
+     */
+    onHotspotClick(element, event) {
+        const hotspot = this.hotspots.find((entry) => entry.element === element);
+        if (!hotspot) return;
+        this.dispatchViewerEvent('hotspot-click', {
+            name: hotspot.name,
+            position: { x: hotspot.position.x, y: hotspot.position.y, z: hotspot.position.z },
+            element,
+            originalEvent: event
+        });
+    }
+
+    /**
+     * Show the "View in VR" button when enable-vr is set and the device supports immersive-vr
+     */
+    updateVRButton() {
+        if (!this.vrButton) return;
+
+        const hide = () => {
+            this.vrButton.classList.add('hidden');
+        };
+
+        if (!this.options.enableVR || !navigator.xr) {
+            hide();
+            return;
+        }
+
+        navigator.xr.isSessionSupported('immersive-vr').then((supported) => {
+            // enable-vr may have been turned off while we were asking
+            if (supported && this.options.enableVR) {
+                this.vrButton.classList.remove('hidden');
+                this.vrButton.disabled = false;
+                console.log('[VR Button] Shown - VR is supported on this device');
+            } else {
+                hide();
+                console.log('[VR Button] Hidden - VR not supported on this device');
+            }
+        }).catch((error) => {
+            console.warn('[VR Button] Error checking VR support:', error);
+            hide();
+        });
+    }
+
+    /**
+     * Start an immersive-vr session
+     * Must be called from a user gesture (the VR button does this)
+     */
+    async enterVR() {
+        if (!navigator.xr || !this.renderer || this.renderer.xr.isPresenting) return;
+
+        try {
+            const session = await navigator.xr.requestSession('immersive-vr', {
+                requiredFeatures: ['local-floor'],
+                optionalFeatures: ['bounded-floor', 'hand-tracking']
+            });
+            this.vrSession = session;
+
+            this.renderer.xr.enabled = true;
+            this.renderer.xr.setReferenceSpaceType('local-floor');
+            await this.renderer.xr.setSession(session);
+
+            session.addEventListener('end', () => this.onVREnd(), { once: true });
+            this.onVRStart();
+        } catch (error) {
+            console.error('Failed to start VR:', error);
+            this.vrSession = null;
+            this.updateStatus('Failed to start VR. Please try again.');
+            this.dispatchViewerEvent('vr-status', { status: 'failed', error });
+        }
+    }
+
+    exitVR() {
+        if (this.vrSession) {
+            this.vrSession.end().catch((e) => {
+                console.error('VR session end failed:', e);
+            });
+        }
+    }
+
+    onVRStart() {
+        const THREE = window.THREE;
+
+        // Only one viewer renders while a headset session is running
+        for (const viewer of activeViewers) {
+            if (viewer !== this && !viewer._isPaused) {
+                viewer.pauseRendering();
+            }
+        }
+
+        if (this.orbitControls) {
+            this.orbitControls.enabled = false;
+        }
+        if (this.controlsHint) this.controlsHint.classList.add('hidden');
+        if (this.vrButton) this.vrButton.textContent = 'Exit VR';
+
+        // The headset pose drives the camera; locomotion moves the rig the camera sits in
+        this.preVRCameraState = {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone()
+        };
+        if (!this.vrRig) {
+            this.vrRig = new THREE.Group();
+        }
+        this.vrRig.position.set(0, 0, 0);
+        this.vrRig.quaternion.identity();
+        this.scene.add(this.vrRig);
+        this.camera.position.set(0, 0, 0);
+        this.camera.quaternion.identity();
+        this.vrRig.add(this.camera);
+
+        if (this.splatMesh) {
+            this.applyTransformToMesh(this.splatMesh, 'vr');
+            this.splatMesh.visible = true;
+        }
+
+        // Thumbstick locomotion via SparkControls' FpsMovement; pointer dragging is meaningless in a headset
+        if (!this.vrControls && this.library.SparkControls) {
+            this.vrControls = new this.library.SparkControls({ canvas: this.canvas });
+            this.vrControls.pointerControls.enable = false;
+        }
+        if (this.vrControls) {
+            this.vrControls.fpsMovement.xr = this.renderer.xr;
+            this.vrControls.lastTime = 0;
+        }
+
+        // Pinch-and-drag locomotion for hand tracking
+        if (!this.vrHands && this.library.XrHands && this.library.HandMovement) {
+            const xrHands = new this.library.XrHands();
+            this.vrHands = {
+                xrHands,
+                movement: new this.library.HandMovement({ xrHands, control: this.vrRig })
+            };
+        }
+
+        this.setupVRFrameLoop();
+
+        this.dispatchViewerEvent('vr-status', { status: 'session-started' });
+    }
+
+    setupVRFrameLoop() {
+        const THREE = window.THREE;
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+        let lastTime = 0;
+
+        this.setAnimationLoop((time, frame) => {
+            if (!this.vrSession) return;
+
+            if (this.stats) {
+                this.stats.begin();
+            }
+
+            const deltaTime = lastTime ? (time - lastTime) / 1000 : 0;
+            lastTime = time;
+
+            if (deltaTime > 0) {
+                if (this.vrHands && frame) {
+                    this.vrHands.xrHands.update({ xr: this.renderer.xr, xrFrame: frame });
+                    this.vrHands.movement.update(deltaTime);
+                }
+                if (this.vrControls) {
+                    this.vrControls.update(this.vrRig);
+                }
+
+                // Keep the rig upright - pitch and roll from the sticks would tilt the horizon
+                euler.setFromQuaternion(this.vrRig.quaternion, 'YXZ');
+                this.vrRig.quaternion.setFromEuler(euler.set(0, euler.y, 0, 'YXZ'));
+                this.vrRig.updateMatrixWorld(true);
+            }
+
+            this.updateSplatCrossFade(performance.now());
+            this.updateContactShadow();
+            this.renderer.render(this.scene, this.camera);
+
+            // quality="auto": VR uses the AR policy (fixed XR framebuffer)
+            this.updateQualityGovernor(performance.now(), 'ar');
+
+            if (this.stats) {
+                this.stats.end();
             }
-            
-            console.log('🔴 [EXIT AR] Desktop mode restored', {
-                meshVisible: this.splatMesh?.visible,
-                meshInScene: !!this.splatMesh?.parent,
-                animationLoop: !!this.desktopAnimationLoop,
-                orbitControls: !!this.orbitControls?.enabled
-            });
-        }, 100);
+        });
+    }
 
-        if (this.xrButton) {
-            this.xrButton.classList.remove('hidden');
-            this.xrButton.style.display = ''; // Remove inline display:none
-            this.xrButton.disabled = false; // Re-enable the button
+    onVREnd() {
+        this.vrSession = null;
+
+        // Put the camera back where the desktop view left it
+        if (this.vrRig) {
+            this.vrRig.remove(this.camera);
+            this.scene.remove(this.vrRig);
         }
-        this.updateStatus('Exited AR mode.');
+        if (this.preVRCameraState) {
+            this.camera.position.copy(this.preVRCameraState.position);
+            this.camera.quaternion.copy(this.preVRCameraState.quaternion);
+            this.preVRCameraState = null;
+        }
+        this.camera.updateMatrixWorld(true);
+
+        if (this.splatMesh) {
+            this.applyTransformToMesh(this.splatMesh, 'desktop');
+        }
+
+        if (this.orbitControls) {
+            this.orbitControls.enabled = this._controlsMode === 'orbit';
+            this.orbitControls.update();
+        }
+        if (this.controlsHint) this.controlsHint.classList.remove('hidden');
+        if (this.vrButton) this.vrButton.textContent = 'View in VR';
+
+        // The XR session resized the drawing buffer
+        this.onWindowResize();
+
+        if (this.desktopAnimationLoop) {
+            this.setAnimationLoop(this.desktopAnimationLoop);
+        }
+
+        for (const viewer of activeViewers) {
+            if (viewer !== this && viewer._isPaused && isContainerVisible(viewer.container)) {
+                viewer.resumeRendering();
+            }
+        }
+
+        this.updateStatus('VR session ended');
+        this.dispatchViewerEvent('vr-status', { status: 'ended' });
     }
 
     onWindowResize() {
-        // Don't resize during AR mode (WebXR handles this)
-        if (this.xrSession && this.renderer && this.renderer.xr && this.renderer.xr.isPresenting) {
+        // Don't resize during AR or VR - WebXR sizes the drawing buffer
+        // (a shared renderer presenting for another viewer is fine: only this viewer's 2D canvas is resized)
+        const isPresenting = !!(this.renderer && this.renderer.xr && this.renderer.xr.isPresenting);
+        if (this.xrSession || this.vrSession || (isPresenting && !this._usesSharedRenderer)) {
             return;
         }
         
@@ -4745,9 +8231,8 @@ export class SplatViewer {
                 this.camera.aspect = width / height;
                 this.camera.updateProjectionMatrix();
                 
-                // Update renderer size
-                this.renderer.setSize(width, height);
-                this.renderer.setPixelRatio(window.devicePixelRatio);
+                // Update renderer size (this clears the canvas, so it also requests a render)
+                this.setRendererSize(width, height);
             }
         }
     }
@@ -4799,6 +8284,38 @@ export class SplatViewer {
     dispose() {
         // Remove from global registry
         activeViewers.delete(this);
+        this.leaveSyncGroup();
+
+        // Cancel any splat download still in flight
+        if (this.loadAbortController) {
+            this.loadAbortController.abort(new SplatLoadError('viewer disposed', 'aborted'));
+            this.loadAbortController = null;
+        }
+
+        this.removeDropTarget();
+
+        clearTimeout(this._urlSyncTimeout);
+        if (this._onHashChange) {
+            window.removeEventListener('hashchange', this._onHashChange);
+            this._onHashChange = null;
+        }
+
+        if (this._onPointerLockMove) {
+            document.removeEventListener('mousemove', this._onPointerLockMove);
+            this._onPointerLockMove = null;
+        }
+        if (this.renderer && document.pointerLockElement === this.canvas) {
+            document.exitPointerLock();
+        }
+        if (this.flyControls) {
+            // SparkControls has no dispose(); switch it off so its listeners do nothing
+            this.flyControls.fpsMovement.enable = false;
+            this.flyControls.pointerControls.enable = false;
+            this.flyControls = null;
+        }
+
+        // Cancel pending layer loads and free layer meshes
+        Array.from(this.layers.keys()).forEach((id) => this.removeLayer(id));
         
         // Disconnect visibility observer
         if (this._visibilityObserver) {
@@ -4808,7 +8325,10 @@ export class SplatViewer {
         
         // Stop animation loop
         if (this.renderer) {
-            this.renderer.setAnimationLoop(null);
+            this.setAnimationLoop(null);
+        }
+        if (this._usesSharedRenderer) {
+            releaseSharedRenderer(this);
         }
         
         // Clean up AR session if still active
@@ -4820,6 +8340,10 @@ export class SplatViewer {
             }
             this.xrSession = null;
         }
+        if (this.vrSession) {
+            this.vrSession.end().catch(() => {});
+            this.vrSession = null;
+        }
         // Clean up MutationObserver
         if (this.arButtonObserver) {
             this.arButtonObserver.disconnect();
@@ -4831,7 +8355,34 @@ export class SplatViewer {
             window.removeEventListener('resize', this.resizeHandler);
             this.resizeHandler = null;
         }
-        
+
+        // Release a full splat still waiting to replace its preview
+        this.finishSplatCrossFade();
+        if (this._pendingSplatSwap) {
+            this._pendingSplatSwap.mesh.dispose();
+            this._pendingSplatSwap = null;
+        }
+
+        // Release the contact shadow
+        if (this.contactShadow) {
+            this.contactShadow.material.map.dispose();
+            this.contactShadow.material.dispose();
+            this.contactShadow.geometry.dispose();
+            this.contactShadow.removeFromParent();
+            this.contactShadow = null;
+        }
+        this._shadowFootprint = null;
+
+        // Release the background mesh and its gradient / skybox texture
+        this._skyboxRequest++;
+        if (this.backgroundMesh) {
+            this.setBackgroundTexture(null);
+            this.backgroundMesh.geometry.dispose();
+            this.backgroundMesh.material.dispose();
+            this.backgroundMesh.removeFromParent();
+            this.backgroundMesh = null;
+        }
+
         if (this.viewer && this.viewer.dispose) {
             this.viewer.dispose();
         }
@@ -4881,6 +8432,16 @@ function parseBoolean(attrValue) {
     return lower === 'true' || lower === '1' || lower === 'yes';
 }
 
+/**
+ * Compare two configuration values (plain objects, arrays or primitives)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both values serialize identically
+ */
+function isSameConfigValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
 /**
  * Sanitize scene name to prevent path traversal
  * @param {string} input - Input string
@@ -4942,6 +8503,340 @@ function parseCameraConfig(container) {
     };
 }
 
+/**
+ * Parse camera constraint attributes (orbit angle and distance limits, pan bounds, ground)
+ * Angles are in degrees, as written in the attributes
+ * @param {HTMLElement} container - Container element
+ * @returns {Object|null} - Constraints, or null when none are set
+ */
+function parseCameraConstraints(container) {
+    const constraints = {};
+    const numberAttributes = {
+        'camera-min-polar-angle': 'minPolarAngle',
+        'camera-max-polar-angle': 'maxPolarAngle',
+        'camera-min-azimuth-angle': 'minAzimuthAngle',
+        'camera-max-azimuth-angle': 'maxAzimuthAngle',
+        'camera-min-distance': 'minDistance',
+        'camera-max-distance': 'maxDistance'
+    };
+    for (const [attribute, key] of Object.entries(numberAttributes)) {
+        const value = parseFloat(container.getAttribute(attribute));
+        if (!isNaN(value)) {
+            constraints[key] = value;
+        }
+    }
+    
+    // Pan bounds: "minX,minY,minZ,maxX,maxY,maxZ"
+    const panBounds = container.getAttribute('camera-pan-bounds');
+    if (panBounds) {
+        const values = panBounds.replace(/[\[\]]/g, '').split(',').map((v) => parseFloat(v.trim()));
+        if (values.length === 6 && values.every((v) => !isNaN(v))) {
+            constraints.panBounds = {
+                min: { x: Math.min(values[0], values[3]), y: Math.min(values[1], values[4]), z: Math.min(values[2], values[5]) },
+                max: { x: Math.max(values[0], values[3]), y: Math.max(values[1], values[4]), z: Math.max(values[2], values[5]) }
+            };
+        } else {
+            console.warn('Invalid camera-pan-bounds, expected "minX,minY,minZ,maxX,maxY,maxZ":', panBounds);
+        }
+    }
+    
+    const ground = container.getAttribute('camera-ground');
+    if (ground !== null) {
+        constraints.ground = ground === '' || parseBoolean(ground);
+    }
+    
+    return Object.keys(constraints).length > 0 ? constraints : null;
+}
+
+/**
+ * Convert a vector given as {x,y,z}, [x,y,z] or "x,y,z" to {x,y,z}
+ * @param {Object|Array|string} value - Vector value
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+function toVector3(value) {
+    if (!value) return null;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        return { x: parseFloat(value.x) || 0, y: parseFloat(value.y) || 0, z: parseFloat(value.z) || 0 };
+    }
+    return parseVector3(Array.isArray(value) ? JSON.stringify(value) : String(value));
+}
+
+/**
+ * Validate one viewpoint definition
+ * @param {Object} raw - { name, position, lookAt | 'look-at', fov, thumbnail }
+ * @returns {Object|null} - Normalized viewpoint, or null if it has no name or position
+ */
+function normalizeViewpoint(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    const position = toVector3(raw.position);
+    if (!name || !position) {
+        console.warn('SplatViewer: ignoring viewpoint without name or position:', raw);
+        return null;
+    }
+    const fov = parseFloat(raw.fov);
+    return {
+        name,
+        position,
+        lookAt: toVector3(raw.lookAt || raw['look-at']) || { x: 0, y: 0, z: 0 },
+        fov: fov > 0 && fov < 180 ? fov : null,
+        thumbnail: typeof raw.thumbnail === 'string' && raw.thumbnail ? raw.thumbnail : null
+    };
+}
+
+/**
+ * Collect viewpoints from the viewpoints JSON attribute and <splat-viewpoint> children
+ * Children with the same name override entries from the attribute
+ * @param {HTMLElement} container - The splat-viewer element
+ * @returns {Array|null}
+ */
+function parseViewpoints(container) {
+    const byName = new Map();
+
+    const attr = container.getAttribute('viewpoints');
+    if (attr) {
+        try {
+            const parsed = JSON.parse(attr);
+            (Array.isArray(parsed) ? parsed : []).forEach((raw) => {
+                const viewpoint = normalizeViewpoint(raw);
+                if (viewpoint) byName.set(viewpoint.name, viewpoint);
+            });
+        } catch (error) {
+            console.warn('SplatViewer: viewpoints attribute is not valid JSON:', error.message);
+        }
+    }
+
+    container.querySelectorAll(':scope > splat-viewpoint').forEach((element) => {
+        const viewpoint = normalizeViewpoint({
+            name: element.getAttribute('name'),
+            position: element.getAttribute('position'),
+            lookAt: element.getAttribute('look-at'),
+            fov: element.getAttribute('fov'),
+            thumbnail: element.getAttribute('thumbnail')
+        });
+        if (viewpoint) byName.set(viewpoint.name, viewpoint);
+    });
+
+    return byName.size > 0 ? Array.from(byName.values()) : null;
+}
+
+// Scene manifest format version read and written by this viewer (scene-src)
+const SCENE_MANIFEST_VERSION = 1;
+
+const SCENE_MANIFEST_KEYS = [
+    'version', 'name', 'splat', 'layers', 'transform', 'transformAr', 'transformVr', 'camera',
+    'viewpoints', 'hotspots', 'background', 'skybox', 'quality', 'targetFps'
+];
+
+/**
+ * Fetch and validate a scene manifest (scene-src attribute)
+ * @param {string} url - Manifest URL; relative URLs inside it resolve against this
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} - { config, layers, hotspots } (see parseSceneManifest)
+ */
+async function loadSceneManifest(url, { signal } = {}) {
+    let response;
+    try {
+        response = await fetch(url, { signal });
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        throw new SceneManifestError(`Could not fetch scene manifest ${url}: ${error.message || error}`, null, error);
+    }
+    if (!response.ok) {
+        throw new SceneManifestError(`Could not fetch scene manifest ${url}: HTTP ${response.status}`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new SceneManifestError(`Scene manifest ${url} is not valid JSON: ${error.message}`, null, error);
+    }
+    return parseSceneManifest(manifest, new URL(response.url || url, document.baseURI).href);
+}
+
+/**
+ * Validate a scene manifest and convert it to the attribute-shaped config used by mergeConfig()
+ * Throws SceneManifestError naming the first invalid field
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {string} baseUrl - URL that relative splat, layer and thumbnail URLs resolve against
+ * @returns {Object} - { config, layers: [{ id, src, visible, transform }], hotspots: [{ name, position, normal, label }] }
+ */
+function parseSceneManifest(manifest, baseUrl = document.baseURI) {
+    const fail = (path, expected) => {
+        throw new SceneManifestError(`Invalid scene manifest: "${path}" must be ${expected}`, path);
+    };
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const number = (value, path, min = -Infinity, max = Infinity) => {
+        if (value === undefined) return undefined;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            fail(path, min > -Infinity || max < Infinity ? `a number between ${min} and ${max}` : 'a number');
+        }
+        return value;
+    };
+    const boolean = (value, path) => {
+        if (value !== undefined && typeof value !== 'boolean') fail(path, 'true or false');
+        return value;
+    };
+    const string = (value, path) => {
+        if (value !== undefined && (typeof value !== 'string' || !value.trim())) fail(path, 'a non-empty string');
+        return value === undefined ? undefined : value.trim();
+    };
+    const oneOf = (value, path, allowed) => {
+        if (value !== undefined && !allowed.includes(value)) fail(path, `one of ${allowed.map((v) => `"${v}"`).join(', ')}`);
+        return value;
+    };
+    const url = (value, path) => {
+        const src = string(value, path);
+        return src === undefined ? undefined : new URL(src, baseUrl).href;
+    };
+    const vector = (value, path) => {
+        if (value === undefined) return undefined;
+        const v = Array.isArray(value) ? { x: value[0], y: value[1], z: value[2] } : value;
+        if ((Array.isArray(value) && value.length !== 3) || !isObject(v) ||
+            ![v.x, v.y, v.z].every((n) => typeof n === 'number' && Number.isFinite(n))) {
+            fail(path, 'an [x, y, z] array or { "x", "y", "z" } object');
+        }
+        return { x: v.x, y: v.y, z: v.z };
+    };
+    const array = (value, path) => {
+        if (value !== undefined && !Array.isArray(value)) fail(path, 'an array');
+        return value || [];
+    };
+    // Partial transforms merge onto the defaults (e.g. the 0.1 VR scale is kept if only position is set)
+    const transform = (value, path) => {
+        if (value === undefined) return undefined;
+        if (!isObject(value)) fail(path, 'an object with position, rotate and/or scale');
+        const result = {};
+        ['position', 'rotate', 'scale'].forEach((key) => {
+            const v = vector(value[key], `${path}.${key}`);
+            if (v) result[key] = v;
+        });
+        return result;
+    };
+
+    if (!isObject(manifest)) fail('(root)', 'a JSON object');
+    if (manifest.version === undefined) {
+        throw new SceneManifestError(`Invalid scene manifest: "version" is required (this viewer reads version ${SCENE_MANIFEST_VERSION})`, 'version');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) fail('version', 'a positive integer');
+    if (manifest.version > SCENE_MANIFEST_VERSION) {
+        throw new SceneManifestError(`Unsupported scene manifest version ${manifest.version} (this viewer reads version ${SCENE_MANIFEST_VERSION})`, 'version');
+    }
+    Object.keys(manifest)
+        .filter((key) => !SCENE_MANIFEST_KEYS.includes(key))
+        .forEach((key) => console.warn(`SplatViewer: ignoring unknown scene manifest field "${key}"`));
+
+    const config = {};
+
+    // splat: "url" or { "src": "url" }
+    if (manifest.splat !== undefined) {
+        config.splatFile = isObject(manifest.splat) ? url(manifest.splat.src, 'splat.src') : url(manifest.splat, 'splat');
+    }
+
+    const layerIds = new Set();
+    const layers = array(manifest.layers, 'layers').map((raw, i) => {
+        const path = `layers[${i}]`;
+        if (!isObject(raw)) fail(path, 'an object');
+        const id = string(raw.id, `${path}.id`);
+        if (!id) fail(`${path}.id`, 'a non-empty string');
+        if (layerIds.has(id)) fail(`${path}.id`, `unique ("${id}" is used twice)`);
+        layerIds.add(id);
+        const src = url(raw.src, `${path}.src`);
+        if (!src) fail(`${path}.src`, 'a non-empty string');
+        const visible = boolean(raw.visible, `${path}.visible`);
+        return { id, src, visible: visible !== false, transform: transform(raw.transform, `${path}.transform`) || null };
+    });
+
+    ['transform', 'transformAr', 'transformVr'].forEach((key) => {
+        const value = transform(manifest[key], key);
+        if (value) config[key] = value;
+    });
+
+    if (manifest.camera !== undefined) {
+        const camera = manifest.camera;
+        if (!isObject(camera)) fail('camera', 'an object');
+        const position = vector(camera.position, 'camera.position');
+        const lookAt = vector(camera.lookAt, 'camera.lookAt');
+        if (position) config.cameraPosition = position;
+        if (lookAt) config.cameraLookAt = [lookAt.x, lookAt.y, lookAt.z];
+        config.cameraFraming = oneOf(camera.framing, 'camera.framing', ['auto', 'manual']);
+        config.cameraFramingPadding = number(camera.framingPadding, 'camera.framingPadding', 0);
+        config.controls = oneOf(camera.controls, 'camera.controls', CONTROLS_MODES);
+        config.autoRotate = boolean(camera.autoRotate, 'camera.autoRotate');
+        config.autoRotateSpeed = number(camera.autoRotateSpeed, 'camera.autoRotateSpeed');
+        config.autoRotateDelay = number(camera.autoRotateDelay, 'camera.autoRotateDelay', 0);
+
+        if (camera.constraints !== undefined) {
+            const raw = camera.constraints;
+            if (!isObject(raw)) fail('camera.constraints', 'an object');
+            const constraints = {};
+            ['minPolarAngle', 'maxPolarAngle', 'minAzimuthAngle', 'maxAzimuthAngle', 'minDistance', 'maxDistance'].forEach((key) => {
+                const value = number(raw[key], `camera.constraints.${key}`);
+                if (value !== undefined) constraints[key] = value;
+            });
+            if (raw.panBounds !== undefined) {
+                const b = raw.panBounds;
+                if (!Array.isArray(b) || b.length !== 6 || !b.every((n) => typeof n === 'number' && Number.isFinite(n))) {
+                    fail('camera.constraints.panBounds', 'an array [minX, minY, minZ, maxX, maxY, maxZ]');
+                }
+                constraints.panBounds = {
+                    min: { x: Math.min(b[0], b[3]), y: Math.min(b[1], b[4]), z: Math.min(b[2], b[5]) },
+                    max: { x: Math.max(b[0], b[3]), y: Math.max(b[1], b[4]), z: Math.max(b[2], b[5]) }
+                };
+            }
+            const ground = boolean(raw.ground, 'camera.constraints.ground');
+            if (ground !== undefined) constraints.ground = ground;
+            config.cameraConstraints = constraints;
+        }
+    }
+
+    const viewpoints = array(manifest.viewpoints, 'viewpoints').map((raw, i) => {
+        const path = `viewpoints[${i}]`;
+        if (!isObject(raw)) fail(path, 'an object');
+        const name = string(raw.name, `${path}.name`);
+        if (!name) fail(`${path}.name`, 'a non-empty string');
+        const position = vector(raw.position, `${path}.position`);
+        if (!position) fail(`${path}.position`, 'an [x, y, z] array or { "x", "y", "z" } object');
+        return {
+            name,
+            position,
+            lookAt: vector(raw.lookAt, `${path}.lookAt`) || { x: 0, y: 0, z: 0 },
+            fov: number(raw.fov, `${path}.fov`, 1, 179) || null,
+            thumbnail: url(raw.thumbnail, `${path}.thumbnail`) || null
+        };
+    });
+    if (viewpoints.length > 0) config.viewpoints = viewpoints;
+
+    const hotspots = array(manifest.hotspots, 'hotspots').map((raw, i) => {
+        const path = `hotspots[${i}]`;
+        if (!isObject(raw)) fail(path, 'an object');
+        const position = vector(raw.position, `${path}.position`);
+        if (!position) fail(`${path}.position`, 'an [x, y, z] array or { "x", "y", "z" } object');
+        return {
+            name: string(raw.name, `${path}.name`) || '',
+            position,
+            normal: vector(raw.normal, `${path}.normal`) || null,
+            label: raw.label === undefined ? '' : String(raw.label)
+        };
+    });
+
+    // Background uses the same values as the background and skybox-src attributes
+    config.background = string(manifest.background, 'background');
+    config.skyboxSrc = url(manifest.skybox, 'skybox');
+
+    // Quality uses the same values as the quality and target-fps attributes
+    config.quality = oneOf(manifest.quality, 'quality', [...QUALITY_LEVELS, 'auto']);
+    config.targetFps = number(manifest.targetFps, 'targetFps', 1, 240);
+
+    // Drop unset keys so mergeConfig() keeps the defaults for them
+    Object.keys(config).forEach((key) => {
+        if (config[key] === undefined) delete config[key];
+    });
+
+    return { config, layers, hotspots };
+}
+
 /**
  * Parse all attributes from container element
  * @param {HTMLElement} container - Container element
@@ -4956,16 +8851,29 @@ function parseAttributes(container) {
     if (splatSrc) {
         config.splatFile = splatSrc;
         console.log('parseAttributes: set config.splatFile =', config.splatFile);
-    } else {
+    } else if (!container.getAttribute('scene-src')) {
+        // With scene-src the splat comes from the manifest
         console.warn('parseAttributes: No splat-src attribute found on element:', container);
     }
     
+    // Parse low-detail preview shown while splat-src downloads
+    const splatPreviewSrc = container.getAttribute('splat-preview-src');
+    if (splatPreviewSrc !== null && splatPreviewSrc.trim()) {
+        config.splatPreviewSrc = splatPreviewSrc.trim();
+    }
+    
     // Parse enable AR
     const enableAR = container.getAttribute('enable-ar');
     if (enableAR !== null) {
         config.enableAR = parseBoolean(enableAR);
     }
     
+    // Parse enable VR
+    const enableVR = container.getAttribute('enable-vr');
+    if (enableVR !== null) {
+        config.enableVR = parseBoolean(enableVR);
+    }
+    
     // Parse show FPS
     const fps = container.getAttribute('fps');
     if (fps !== null) {
@@ -4998,6 +8906,134 @@ function parseAttributes(container) {
         }
     }
     
+    // Parse load timeout (milliseconds, 0 disables the timeout)
+    const loadTimeoutAttr = container.getAttribute('load-timeout');
+    if (loadTimeoutAttr !== null) {
+        const loadTimeout = parseInt(loadTimeoutAttr, 10);
+        if (!isNaN(loadTimeout) && loadTimeout >= 0) {
+            config.loadTimeout = loadTimeout;
+        }
+    }
+    
+    // Parse cache mode ('persistent' stores downloaded splats in Cache Storage)
+    const cacheMode = container.getAttribute('cache');
+    if (cacheMode) {
+        const cacheLower = cacheMode.toLowerCase().trim();
+        if (cacheLower === 'persistent' || cacheLower === 'none') {
+            config.cache = cacheLower;
+        }
+    }
+    
+    // Parse drop target (load splat files dropped onto the canvas)
+    const dropTarget = container.getAttribute('drop-target');
+    if (dropTarget !== null) {
+        config.dropTarget = dropTarget === '' || parseBoolean(dropTarget);
+    }
+    
+    // Parse shared renderer (read once at init)
+    const sharedRendererAttr = container.getAttribute('shared-renderer');
+    if (sharedRendererAttr !== null) {
+        config.sharedRenderer = sharedRendererAttr !== 'false';
+    }
+    
+    // Parse rendering quality
+    const quality = container.getAttribute('quality');
+    if (quality !== null) {
+        const qualityLower = quality.toLowerCase().trim();
+        if ([...QUALITY_LEVELS, 'auto'].includes(qualityLower)) {
+            config.quality = qualityLower;
+        } else {
+            console.warn(`SplatViewer: unknown quality "${quality}", expected "low", "medium", "high" or "auto"`);
+        }
+    }
+    
+    const targetFpsAttr = container.getAttribute('target-fps');
+    if (targetFpsAttr !== null) {
+        const targetFps = parseFloat(targetFpsAttr);
+        if (!isNaN(targetFps) && targetFps >= 1 && targetFps <= 240) {
+            config.targetFps = targetFps;
+        }
+    }
+    
+    // Parse render mode
+    const renderMode = container.getAttribute('render-mode');
+    if (renderMode === 'continuous' || renderMode === 'on-demand') {
+        config.renderMode = renderMode;
+    } else if (renderMode !== null) {
+        console.warn(`SplatViewer: unknown render-mode "${renderMode}", expected "continuous" or "on-demand"`);
+    }
+    
+    // Parse contact shadow
+    const shadowIntensityAttr = container.getAttribute('shadow-intensity');
+    if (shadowIntensityAttr !== null) {
+        const shadowIntensity = parseFloat(shadowIntensityAttr);
+        if (!isNaN(shadowIntensity) && shadowIntensity >= 0) {
+            config.shadowIntensity = Math.min(1, shadowIntensity);
+        }
+    }
+    
+    const shadowSoftnessAttr = container.getAttribute('shadow-softness');
+    if (shadowSoftnessAttr !== null) {
+        const shadowSoftness = parseFloat(shadowSoftnessAttr);
+        if (!isNaN(shadowSoftness) && shadowSoftness >= 0) {
+            config.shadowSoftness = Math.min(1, shadowSoftness);
+        }
+    }
+    
+    // Parse background (color, gradient or preset) and equirectangular skybox
+    const background = container.getAttribute('background');
+    if (background !== null && background.trim()) {
+        config.background = background.trim();
+    }
+    
+    const skyboxSrc = container.getAttribute('skybox-src');
+    if (skyboxSrc !== null && skyboxSrc.trim()) {
+        config.skyboxSrc = skyboxSrc.trim();
+    }
+    
+    // Parse camera sync group
+    const syncGroup = container.getAttribute('sync-group');
+    if (syncGroup !== null && syncGroup.trim()) {
+        config.syncGroup = syncGroup.trim();
+    }
+    
+    // Parse URL hash sync (camera, layers and AR transform mode in the address bar)
+    const syncUrl = container.getAttribute('sync-url');
+    if (syncUrl !== null) {
+        config.syncUrl = syncUrl === '' || parseBoolean(syncUrl);
+    }
+    
+    // Parse desktop navigation mode
+    const controls = container.getAttribute('controls');
+    if (controls) {
+        const controlsLower = controls.toLowerCase().trim();
+        if (CONTROLS_MODES.includes(controlsLower)) {
+            config.controls = controlsLower;
+        }
+    }
+    
+    // Parse auto-rotate (idle spin around the orbit target)
+    const autoRotate = container.getAttribute('auto-rotate');
+    if (autoRotate !== null) {
+        config.autoRotate = autoRotate === '' || parseBoolean(autoRotate);
+    }
+    
+    const autoRotateSpeedAttr = container.getAttribute('auto-rotate-speed');
+    if (autoRotateSpeedAttr !== null) {
+        const autoRotateSpeed = parseFloat(autoRotateSpeedAttr);
+        if (!isNaN(autoRotateSpeed)) {
+            config.autoRotateSpeed = autoRotateSpeed;
+        }
+    }
+    
+    const autoRotateDelayAttr = container.getAttribute('auto-rotate-delay');
+    if (autoRotateDelayAttr !== null) {
+        const autoRotateDelay = parseInt(autoRotateDelayAttr, 10);
+        if (!isNaN(autoRotateDelay) && autoRotateDelay >= 0) {
+            config.autoRotateDelay = autoRotateDelay;
+        }
+    }
+    
     // Parse camera config
     const cameraConfig = parseCameraConfig(container);
     if (cameraConfig) {
@@ -5005,6 +9041,45 @@ function parseAttributes(container) {
         config.cameraLookAt = cameraConfig.cameraLookAt;
     }
     
+    // Parse camera constraints (orbit limits, pan bounds, ground)
+    const cameraConstraints = parseCameraConstraints(container);
+    if (cameraConstraints) {
+        config.cameraConstraints = cameraConstraints;
+    }
+    
+    // Parse camera framing ('auto' fits the camera to the splat bounds after load)
+    const cameraFraming = container.getAttribute('camera-framing');
+    if (cameraFraming) {
+        const framingLower = cameraFraming.toLowerCase().trim();
+        if (framingLower === 'auto' || framingLower === 'manual') {
+            config.cameraFraming = framingLower;
+        }
+    }
+    
+    const framingPaddingAttr = container.getAttribute('camera-framing-padding');
+    if (framingPaddingAttr !== null) {
+        const framingPadding = parseFloat(framingPaddingAttr);
+        if (!isNaN(framingPadding) && framingPadding >= 0) {
+            config.cameraFramingPadding = framingPadding;
+        }
+    }
+    
+    // Parse camera viewpoints (viewpoints attribute + <splat-viewpoint> children)
+    const viewpoints = parseViewpoints(container);
+    if (viewpoints) {
+        config.viewpoints = viewpoints;
+    }
+    
+    const captureButton = container.getAttribute('capture-button');
+    if (captureButton !== null) {
+        config.captureButton = captureButton === '' || parseBoolean(captureButton);
+    }
+    
+    const viewpointButtons = container.getAttribute('viewpoint-buttons');
+    if (viewpointButtons !== null) {
+        config.viewpointButtons = viewpointButtons === '' || parseBoolean(viewpointButtons);
+    }
+    
     // Parse desktop transform
     const desktopTransform = parseTransform(container, 'transform');
     if (desktopTransform) {
@@ -5023,6 +9098,12 @@ function parseAttributes(container) {
         config.transformAr = arTransform;
     }
     
+    // Parse VR transform
+    const vrTransform = parseTransform(container, 'transform-vr');
+    if (vrTransform) {
+        config.transformVr = vrTransform;
+    }
+    
     return config;
 }
 
@@ -5038,18 +9119,63 @@ function parseURLParams() {
     if (sceneName) {
         config.splatFile = `${sceneName}.splat`;
     }
-    // Only set splatFile if scene parameter exists and is valid
-    
-    const xrMode = urlParams.get('xr');
-    if (xrMode) {
-        const validModes = ['ar', 'vr', 'none'];
-        const lower = xrMode.toLowerCase().trim();
-        if (validModes.includes(lower)) {
-            config.enableAR = lower === 'ar';
+    // Only set splatFile if scene parameter exists and is valid
+    
+    const xrMode = urlParams.get('xr');
+    if (xrMode) {
+        const validModes = ['ar', 'vr', 'none'];
+        const lower = xrMode.toLowerCase().trim();
+        if (validModes.includes(lower)) {
+            config.enableAR = lower === 'ar';
+            config.enableVR = lower === 'vr';
+        }
+    }
+    
+    return config;
+}
+
+/**
+ * Hash key for a viewer's URL state, prefixed with the element id when it has one
+ * so several viewers on a page keep separate state (e.g. "viewer-a.cam")
+ */
+function getURLStateKey(elementId, key) {
+    return elementId ? `${elementId}.${key}` : key;
+}
+
+/**
+ * Read a viewer's state from the URL hash (sync-url)
+ * Format: #cam=px,py,pz,tx,ty,tz,fov&mode=translate&layer.<id>=1
+ * @param {string} elementId - id of the <splat-viewer> element (keys are unprefixed without one)
+ * @returns {Object} - { camera: { position, target, fov }, arTransformMode, layers: Map<id, boolean> }
+ */
+function readURLHashState(elementId) {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const state = { camera: null, arTransformMode: null, layers: new Map() };
+
+    const camera = params.get(getURLStateKey(elementId, 'cam'));
+    if (camera) {
+        const v = camera.split(',').map(Number);
+        if (v.length === 7 && v.every(Number.isFinite)) {
+            state.camera = {
+                position: { x: v[0], y: v[1], z: v[2] },
+                target: { x: v[3], y: v[4], z: v[5] },
+                fov: v[6]
+            };
+        }
+    }
+
+    const mode = params.get(getURLStateKey(elementId, 'mode'));
+    if (AR_TRANSFORM_MODES.includes(mode)) {
+        state.arTransformMode = mode;
+    }
+
+    const layerPrefix = getURLStateKey(elementId, 'layer.');
+    for (const [key, value] of params) {
+        if (key.startsWith(layerPrefix)) {
+            state.layers.set(key.slice(layerPrefix.length), value !== '0');
         }
     }
-    
-    return config;
+    return state;
 }
 
 /**
@@ -5060,10 +9186,35 @@ function getDefaultConfig() {
     return {
         splatFile: null, // No default - must be provided via splat-src attribute
         enableAR: true,
+        enableVR: false,
         useBuiltInControls: false,
         theme: 'dark', // Default theme: 'dark' or 'light'
         minScale: 0.1, // Minimum scale for pinch/zoom gestures
         maxScale: 5.0, // Maximum scale for pinch/zoom gestures
+        loadTimeout: 60000, // Abort splat loads after 60 seconds (0 disables)
+        dropTarget: false, // Load splat files dropped onto the canvas
+        cache: 'none', // 'persistent' keeps downloaded splats in Cache Storage
+        viewpoints: [], // Named camera bookmarks for goToViewpoint()
+        viewpointButtons: false, // Show a button per viewpoint in the overlay
+        captureButton: false, // Show an overlay button that downloads a screenshot
+        quality: 'high', // 'low', 'medium', 'high' or 'auto' (adapts to targetFps)
+        targetFps: 60, // Frame rate quality="auto" aims for
+        sharedRenderer: false, // Render through one WebGL context shared with other viewers
+        renderMode: 'continuous', // 'continuous' or 'on-demand' (desktop only renders after changes)
+        shadowIntensity: 0, // Contact shadow darkness (0 disables it)
+        shadowSoftness: 0.5, // Contact shadow blur, 0 (sharp) to 1
+        background: 'transparent', // Color, linear-gradient() or preset name drawn behind the splat
+        skyboxSrc: null, // Equirectangular panorama drawn behind the splat
+        syncGroup: null, // Name of a group of viewers whose cameras move together
+        syncUrl: false, // Mirror camera, layers and AR transform mode in the URL hash
+        arTransformMode: 'translate', // AR gesture mode - only set from the sync-url hash
+        controls: 'orbit', // Desktop navigation: 'orbit', 'fly' (WASD + drag) or 'fps' (WASD + pointer lock)
+        autoRotate: false, // Spin around the orbit target while idle
+        autoRotateSpeed: 2.0, // OrbitControls units: 2.0 = one turn per 30 seconds
+        autoRotateDelay: 3000, // Milliseconds of inactivity before auto-rotate resumes
+        cameraFraming: 'manual', // 'auto' fits the camera to the splat bounds after load
+        cameraFramingPadding: 0.1, // Extra space around the framed splat (fraction of its size)
+        cameraConstraints: {}, // Orbit angle/distance limits, pan bounds and ground (camera-min-* etc.)
         transform: {
             cameraLookAt: [0, 0, 25],
             cameraPosition: { x: 0, y: 3, z: 5 },
@@ -5096,17 +9247,45 @@ function mergeConfig(defaults, attributes, urlParams) {
     
     // Merge attributes (override defaults)
     if (attributes.splatFile) config.splatFile = attributes.splatFile;
+    if (attributes.splatPreviewSrc) config.splatPreviewSrc = attributes.splatPreviewSrc;
     if (attributes.enableAR !== undefined) config.enableAR = attributes.enableAR;
+    if (attributes.enableVR !== undefined) config.enableVR = attributes.enableVR;
     if (attributes.showFPS !== undefined) config.showFPS = attributes.showFPS;
     if (attributes.theme) config.theme = attributes.theme;
     if (attributes.minScale !== undefined) config.minScale = attributes.minScale;
     if (attributes.maxScale !== undefined) config.maxScale = attributes.maxScale;
+    if (attributes.loadTimeout !== undefined) config.loadTimeout = attributes.loadTimeout;
+    if (attributes.dropTarget !== undefined) config.dropTarget = attributes.dropTarget;
+    if (attributes.cache) config.cache = attributes.cache;
+    if (attributes.viewpoints) config.viewpoints = attributes.viewpoints;
+    if (attributes.viewpointButtons !== undefined) config.viewpointButtons = attributes.viewpointButtons;
+    if (attributes.captureButton !== undefined) config.captureButton = attributes.captureButton;
+    if (attributes.syncUrl !== undefined) config.syncUrl = attributes.syncUrl;
+    if (attributes.syncGroup) config.syncGroup = attributes.syncGroup;
+    if (attributes.controls) config.controls = attributes.controls;
+    if (attributes.autoRotate !== undefined) config.autoRotate = attributes.autoRotate;
+    if (attributes.autoRotateSpeed !== undefined) config.autoRotateSpeed = attributes.autoRotateSpeed;
+    if (attributes.autoRotateDelay !== undefined) config.autoRotateDelay = attributes.autoRotateDelay;
+    if (attributes.cameraFraming) config.cameraFraming = attributes.cameraFraming;
+    if (attributes.cameraFramingPadding !== undefined) config.cameraFramingPadding = attributes.cameraFramingPadding;
+    if (attributes.sharedRenderer !== undefined) config.sharedRenderer = attributes.sharedRenderer;
+    if (attributes.renderMode) config.renderMode = attributes.renderMode;
+    if (attributes.shadowIntensity !== undefined) config.shadowIntensity = attributes.shadowIntensity;
+    if (attributes.shadowSoftness !== undefined) config.shadowSoftness = attributes.shadowSoftness;
+    if (attributes.cameraConstraints) config.cameraConstraints = attributes.cameraConstraints;
+    if (attributes.background) config.background = attributes.background;
+    if (attributes.skyboxSrc) config.skyboxSrc = attributes.skyboxSrc;
+    if (attributes.quality) config.quality = attributes.quality;
+    if (attributes.targetFps !== undefined) config.targetFps = attributes.targetFps;
     if (attributes.transform) {
         config.transform = { ...config.transform, ...attributes.transform };
     }
     if (attributes.transformAr) {
         config.transformAr = { ...config.transformAr, ...attributes.transformAr };
     }
+    if (attributes.transformVr) {
+        config.transformVr = { ...config.transformVr, ...attributes.transformVr };
+    }
     if (attributes.cameraPosition) {
         if (!config.transform) config.transform = {};
         config.transform.cameraPosition = attributes.cameraPosition;
@@ -5117,8 +9296,13 @@ function mergeConfig(defaults, attributes, urlParams) {
     }
     
     // Merge URL params (override everything)
-    if (urlParams.splatFile) config.splatFile = urlParams.splatFile;
+    if (urlParams.splatFile) {
+        config.splatFile = urlParams.splatFile;
+        // The preview belongs to the splat-src the page configured, not to a splat chosen in the URL
+        config.splatPreviewSrc = null;
+    }
     if (urlParams.enableAR !== undefined) config.enableAR = urlParams.enableAR;
+    if (urlParams.enableVR !== undefined) config.enableVR = urlParams.enableVR;
     
     return config;
 }
@@ -5154,6 +9338,18 @@ function injectSplatViewerStyles() {
             overflow: visible; /* Ensure AR button and other UI elements are not clipped */
         }
         
+        /* Drop target highlight while a file is dragged over the canvas */
+        splat-viewer.drag-over #canvas-container {
+            outline: 2px dashed rgba(255, 255, 255, 0.8);
+            outline-offset: -8px;
+        }
+        
+        /* Layers and viewpoints only describe scene content */
+        splat-layer,
+        splat-viewpoint {
+            display: none;
+        }
+        
         /* Mobile landscape: ensure minimum height for proper display */
         @media (max-height: 500px) and (orientation: landscape) {
             splat-viewer {
@@ -5185,6 +9381,10 @@ function injectSplatViewerStyles() {
         }
 
         /* Critical: canvas sizing */
+        #canvas-container canvas:focus {
+            outline: none; /* Focusable for controls="fly" / "fps" keyboard input */
+        }
+
         #canvas-container canvas {
             display: block;
             width: 100%;
@@ -5260,6 +9460,121 @@ function injectSplatViewerStyles() {
             display: none;
         }
 
+        /* VR button sits left of the AR button when both are available */
+        .ar-button:not(.hidden) ~ .vr-button {
+            right: 132px;
+        }
+
+        /* Hotspots - positioned by the viewer every frame */
+        splat-hotspot {
+            position: absolute;
+            top: 0;
+            left: 0;
+            z-index: 50;
+            pointer-events: auto;
+            opacity: 0;
+            visibility: hidden;
+            transition: opacity 0.3s, visibility 0.3s;
+        }
+        
+        splat-hotspot[data-visible] {
+            opacity: 1;
+            visibility: visible;
+        }
+        
+        /* Behind the splat or on a surface facing away from the camera */
+        splat-hotspot[data-visible][data-occluded] {
+            opacity: 0.15;
+            pointer-events: none;
+        }
+        
+        /* Capture button (capture-button attribute) */
+        .capture-button {
+            position: absolute;
+            top: 16px;
+            right: 16px;
+            width: 36px;
+            height: 36px;
+            padding: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: #fff;
+            color: #4285f4;
+            border: none;
+            border-radius: 4px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.25);
+            cursor: pointer;
+            z-index: 100;
+        }
+        
+        .capture-button:hover {
+            background: #f8f8f8;
+            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
+        }
+        
+        .capture-button.hidden {
+            display: none;
+        }
+        
+        /* Viewpoint buttons (viewpoint-buttons attribute) */
+        #viewpoint-buttons {
+            position: absolute;
+            bottom: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            gap: 8px;
+            max-width: 60%;
+            overflow-x: auto;
+            z-index: 100;
+        }
+        
+        #viewpoint-buttons.visible {
+            display: flex;
+        }
+        
+        .viewpoint-button {
+            flex: 0 0 auto;
+            height: 36px;
+            min-width: 36px;
+            padding: 0 12px;
+            border: none;
+            border-radius: 4px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.25);
+            font-family: 'Roboto', -apple-system, BlinkMacSystemFont, sans-serif;
+            font-size: 13px;
+            cursor: pointer;
+            white-space: nowrap;
+        }
+        
+        .viewpoint-button img {
+            display: block;
+            width: 64px;
+            height: 48px;
+            object-fit: cover;
+            border-radius: 2px;
+        }
+        
+        .viewpoint-button.has-thumbnail {
+            height: auto;
+            padding: 2px;
+        }
+        
+        #viewpoint-buttons.theme-dark .viewpoint-button {
+            background: rgba(0, 0, 0, 0.6);
+            color: white;
+        }
+        
+        #viewpoint-buttons.theme-light .viewpoint-button {
+            background: rgba(255, 255, 255, 0.9);
+            color: #333;
+        }
+        
+        .viewpoint-button:hover {
+            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
+        }
+
         /* AR Overlay - shown during AR session */
         #ar-overlay {
             position: fixed;
@@ -5416,6 +9731,63 @@ function injectSplatViewerStyles() {
             background: transparent;
         }
 
+        /* Load progress bar - sits just below the centered status message */
+        #load-progress {
+            position: absolute;
+            top: calc(50% + 28px);
+            left: 50%;
+            transform: translateX(-50%);
+            width: 200px;
+            max-width: 60%;
+            height: 4px;
+            border-radius: 2px;
+            overflow: hidden;
+            z-index: 10000;
+            opacity: 0;
+            pointer-events: none;
+            transition: opacity 0.3s;
+        }
+
+        #load-progress.visible {
+            opacity: 1;
+        }
+
+        #load-progress .load-progress-bar {
+            width: 0;
+            height: 100%;
+            border-radius: 2px;
+            transition: width 0.1s linear;
+        }
+
+        /* Unknown total size: sliding bar instead of a percentage */
+        #load-progress.indeterminate .load-progress-bar {
+            width: 30%;
+            animation: loadProgressSlide 1.2s ease-in-out infinite;
+        }
+
+        @keyframes loadProgressSlide {
+            0% { transform: translateX(-100%); }
+            100% { transform: translateX(340%); }
+        }
+
+        /* Dark theme (default) */
+        #load-progress.theme-dark {
+            background: rgba(255, 255, 255, 0.2);
+        }
+
+        #load-progress.theme-dark .load-progress-bar {
+            background: white;
+        }
+
+        /* Light theme */
+        #load-progress.theme-light {
+            background: rgba(0, 0, 0, 0.15);
+        }
+
+        #load-progress.theme-light .load-progress-bar {
+            background: #1a1a1a;
+        }
+
         /* Desktop controls hint */
         #controls-hint {
             position: absolute;
@@ -5472,10 +9844,70 @@ function injectSplatViewerStyles() {
  * Similar to model-viewer's approach
  */
 class SplatViewerElement extends HTMLElement {
+    /**
+     * Attributes that are re-applied to the running viewer when they change
+     */
+    static get observedAttributes() {
+        return [
+            'splat-src',
+            'splat-preview-src',
+            'scene-src',
+            'fps',
+            'theme',
+            'min-scale',
+            'max-scale',
+            'load-timeout',
+            'drop-target',
+            'cache',
+            'viewpoints',
+            'viewpoint-buttons',
+            'capture-button',
+            'background',
+            'skybox-src',
+            'shadow-intensity',
+            'shadow-softness',
+            'render-mode',
+            'quality',
+            'target-fps',
+            'sync-url',
+            'sync-group',
+            'controls',
+            'auto-rotate',
+            'auto-rotate-speed',
+            'auto-rotate-delay',
+            'camera-position',
+            'camera-look-at',
+            'camera-framing',
+            'camera-framing-padding',
+            'camera-min-polar-angle',
+            'camera-max-polar-angle',
+            'camera-min-azimuth-angle',
+            'camera-max-azimuth-angle',
+            'camera-min-distance',
+            'camera-max-distance',
+            'camera-pan-bounds',
+            'camera-ground',
+            'transform-scale',
+            'transform-position',
+            'transform-rotate',
+            'transform-ar-scale',
+            'transform-ar-position',
+            'transform-ar-rotate',
+            'enable-vr',
+            'transform-vr-scale',
+            'transform-vr-position',
+            'transform-vr-rotate'
+        ];
+    }
+
     constructor() {
         super();
         this.viewer = null;
         this._initialized = false;
+        this._attributeUpdatePending = false; // Batches attribute changes made in the same task
+        this._sceneManifest = null; // Parsed scene-src manifest ({ config, layers, hotspots })
+        this._manifestAbortController = null; // Cancels a scene-src fetch that was superseded
+        this._manifestLayerIds = []; // Layers added from the manifest (removed when it changes)
     }
 
     connectedCallback() {
@@ -5489,13 +9921,11 @@ class SplatViewerElement extends HTMLElement {
         this._createInternalStructure();
 
         // Parse configuration from attributes
-        const defaults = getDefaultConfig();
         const attributes = parseAttributes(this);
-        const urlParams = parseURLParams();
-        const config = mergeConfig(defaults, attributes, urlParams);
-        
+        const config = this._parseConfig(attributes);
+
         // Debug: Log configuration to help diagnose issues
-        if (!config.splatFile) {
+        if (!config.splatFile && !this.getAttribute('scene-src') && !this.querySelector('splat-layer')) {
             console.warn('SplatViewer: No splat file specified. Attributes:', {
                 'splat-src': this.getAttribute('splat-src'),
                 parsedAttributes: attributes,
@@ -5506,9 +9936,14 @@ class SplatViewerElement extends HTMLElement {
         // Get container for the viewer (use light DOM, not shadow DOM)
         const container = this.querySelector('#canvas-container') || this;
 
-        // Initialize SplatViewer
+        // Initialize SplatViewer - after the scene manifest (if any) so its splat and camera are used
         this.viewer = new SplatViewer(container, config);
-        this.viewer.init().catch(error => {
+        const sceneSrc = this.getAttribute('scene-src');
+        const manifestReady = sceneSrc ? this._loadSceneManifest(sceneSrc) : Promise.resolve();
+        manifestReady.then(() => {
+            if (!this.isConnected || !this.viewer) return;
+            return this.viewer.init();
+        }).catch(error => {
             console.error('Failed to initialize viewer:', error);
             const statusDiv = this.querySelector('#status');
             if (statusDiv) {
@@ -5519,6 +9954,11 @@ class SplatViewerElement extends HTMLElement {
         // Make viewer available on element
         this.splatViewer = this.viewer;
 
+        // Load <splat-layer> children that were upgraded before the viewer existed
+        this.querySelectorAll(':scope > splat-layer').forEach((layer) => {
+            if (typeof layer._attach === 'function') layer._attach();
+        });
+
         // Make first viewer available globally
         if (!window.splatViewer) {
             window.splatViewer = this.viewer;
@@ -5531,6 +9971,134 @@ class SplatViewerElement extends HTMLElement {
         }
     }
 
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Initial attributes are read in connectedCallback()
+        if (oldValue === newValue) return;
+        if (name === 'scene-src') {
+            if (!this._initialized || !this.viewer) return;
+            if (newValue) {
+                this._loadSceneManifest(newValue);
+            } else {
+                this._manifestAbortController?.abort();
+                this._applySceneManifest(null);
+            }
+            return;
+        }
+        this._scheduleConfigUpdate();
+    }
+
+    /**
+     * Fetch the scene-src manifest and apply it below the attributes
+     * Failures are reported through the status message and 'error' event; the viewer
+     * then runs with its attributes alone
+     * @param {string} url - Manifest URL
+     * @returns {Promise<void>} - Settles once the manifest is applied or has failed
+     */
+    async _loadSceneManifest(url) {
+        if (this._manifestAbortController) {
+            this._manifestAbortController.abort();
+        }
+        const abortController = new AbortController();
+        this._manifestAbortController = abortController;
+
+        try {
+            const manifest = await loadSceneManifest(url, { signal: abortController.signal });
+            if (abortController.signal.aborted) return;
+            this._applySceneManifest(manifest);
+        } catch (error) {
+            if (abortController.signal.aborted) return;
+            console.error('SplatViewer: scene manifest failed:', error);
+            const statusDiv = this.querySelector('#status');
+            if (statusDiv) {
+                statusDiv.textContent = `Error: ${error.message}`;
+                statusDiv.classList.remove('hidden');
+            }
+            if (this.viewer) {
+                this.viewer.dispatchErrorEvent(error, 'manifest');
+            }
+        } finally {
+            if (this._manifestAbortController === abortController) {
+                this._manifestAbortController = null;
+            }
+        }
+    }
+
+    /**
+     * Replace the manifest's configuration, layers and hotspots (null removes them)
+     */
+    _applySceneManifest(manifest) {
+        this._sceneManifest = manifest;
+
+        // Configuration goes through mergeConfig() - see _parseConfig()
+        if (this.viewer) {
+            this.viewer.updateOptions(this._parseConfig(parseAttributes(this)));
+        }
+
+        // Layers
+        this._manifestLayerIds.forEach((id) => this.viewer && this.viewer.removeLayer(id));
+        this._manifestLayerIds = [];
+        if (manifest && this.viewer) {
+            manifest.layers.forEach((layer) => {
+                this._manifestLayerIds.push(layer.id);
+                // Failures are reported by the viewer's layer-error event
+                this.viewer.addLayer(layer.id, layer).catch(() => {});
+            });
+        }
+
+        // Hotspots become <splat-hotspot> children like hand-written ones
+        this.querySelectorAll(':scope > splat-hotspot[data-scene-manifest]').forEach((element) => element.remove());
+        if (manifest) {
+            manifest.hotspots.forEach((hotspot) => {
+                const element = document.createElement('splat-hotspot');
+                element.setAttribute('data-scene-manifest', '');
+                element.setAttribute('position', `${hotspot.position.x},${hotspot.position.y},${hotspot.position.z}`);
+                if (hotspot.normal) {
+                    element.setAttribute('normal', `${hotspot.normal.x},${hotspot.normal.y},${hotspot.normal.z}`);
+                }
+                if (hotspot.name) element.setAttribute('slot', hotspot.name);
+                element.textContent = hotspot.label;
+                this.appendChild(element);
+            });
+        }
+    }
+
+    /**
+     * Re-read attributes and child configuration elements and apply them to the running viewer
+     * Frameworks often set several attributes in a row - changes in the same task are applied together
+     */
+    _scheduleConfigUpdate() {
+        if (!this._initialized || !this.viewer) return;
+        if (this._attributeUpdatePending) return;
+        this._attributeUpdatePending = true;
+        queueMicrotask(() => {
+            this._attributeUpdatePending = false;
+            if (this.viewer) {
+                this.viewer.updateOptions(this._parseConfig(parseAttributes(this)));
+            }
+        });
+    }
+
+    /**
+     * Build the full viewer configuration (defaults < scene manifest < attributes < URL params < sync-url hash)
+     * @param {Object} attributes - Configuration parsed from HTML attributes
+     * @returns {Object} - Merged configuration
+     */
+    _parseConfig(attributes) {
+        // The scene manifest sits between the defaults and the attributes
+        const defaults = this._sceneManifest
+            ? mergeConfig(getDefaultConfig(), this._sceneManifest.config, {})
+            : getDefaultConfig();
+        const urlParams = parseURLParams();
+        const config = mergeConfig(defaults, attributes, urlParams);
+
+        // sync-url: the hash overrides everything like the URL params, so a re-merge keeps the deep-linked mode
+        if (config.syncUrl) {
+            const { arTransformMode } = readURLHashState(this.id);
+            if (arTransformMode) config.arTransformMode = arTransformMode;
+        }
+        return config;
+    }
+
     _createInternalStructure() {
         // Set element styles
         this.style.display = 'block';
@@ -5556,12 +10124,43 @@ class SplatViewerElement extends HTMLElement {
         statusDiv.textContent = 'Loading...';
         this.appendChild(statusDiv);
 
+        // Create load progress bar (shown while the splat file downloads)
+        const loadProgress = document.createElement('div');
+        loadProgress.id = 'load-progress';
+        loadProgress.className = 'theme-dark';
+        loadProgress.setAttribute('role', 'progressbar');
+        loadProgress.setAttribute('aria-valuemin', '0');
+        loadProgress.setAttribute('aria-valuemax', '100');
+        loadProgress.innerHTML = '<div class="load-progress-bar"></div>';
+        this.appendChild(loadProgress);
+
         // Create controls hint
         const controlsHint = document.createElement('div');
         controlsHint.id = 'controls-hint';
         controlsHint.innerHTML = '<span>🖱️ Drag to rotate • Scroll to zoom</span>';
         this.appendChild(controlsHint);
 
+        // Create viewpoint buttons container (filled when viewpoint-buttons is set)
+        const viewpointButtons = document.createElement('div');
+        viewpointButtons.id = 'viewpoint-buttons';
+        viewpointButtons.className = 'theme-dark';
+        this.appendChild(viewpointButtons);
+
+        // Create capture button (shown when capture-button is set)
+        const captureButton = document.createElement('button');
+        captureButton.id = 'capture-btn';
+        captureButton.className = 'capture-button hidden';
+        captureButton.type = 'button';
+        captureButton.title = 'Save image';
+        captureButton.setAttribute('aria-label', 'Save image');
+        captureButton.setAttribute('data-splat-viewer-ui', '');
+        captureButton.innerHTML = `
+            <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 15.2a3.2 3.2 0 1 0 0-6.4 3.2 3.2 0 0 0 0 6.4zM9 2 7.17 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2h-3.17L15 2H9zm3 15c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5z"/>
+            </svg>
+        `;
+        this.appendChild(captureButton);
+
         // Create AR button
         const arButton = document.createElement('button');
         arButton.id = 'enter-ar-btn';
@@ -5569,6 +10168,13 @@ class SplatViewerElement extends HTMLElement {
         arButton.textContent = 'View in AR';
         this.appendChild(arButton);
 
+        // Create VR button (shown when enable-vr is set and immersive-vr is supported)
+        const vrButton = document.createElement('button');
+        vrButton.id = 'enter-vr-btn';
+        vrButton.className = 'ar-button vr-button hidden';
+        vrButton.textContent = 'View in VR';
+        this.appendChild(vrButton);
+
         // Create AR overlay
         const arOverlay = document.createElement('div');
         arOverlay.id = 'ar-overlay';
@@ -5586,7 +10192,165 @@ class SplatViewerElement extends HTMLElement {
     }
 }
 
-// Register the custom element
+/**
+ * <splat-viewpoint name position look-at fov thumbnail> - a named camera bookmark
+ * Read by the parent <splat-viewer>; changes are forwarded to it
+ */
+class SplatViewpointElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['name', 'position', 'look-at', 'fov', 'thumbnail'];
+    }
+
+    connectedCallback() {
+        this._host = this.parentElement;
+        this._notifyHost();
+    }
+
+    disconnectedCallback() {
+        this._notifyHost();
+        this._host = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue) this._notifyHost();
+    }
+
+    _notifyHost() {
+        if (this._host && typeof this._host._scheduleConfigUpdate === 'function') {
+            this._host._scheduleConfigUpdate();
+        }
+    }
+}
+
+/**
+ * <splat-hotspot position normal slot> - DOM annotation anchored to a point in splat-local coordinates
+ * The element's own content is the overlay; the viewer positions it every frame
+ */
+class SplatHotspotElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['position', 'normal', 'slot'];
+    }
+
+    constructor() {
+        super();
+        this._host = null;
+        this.addEventListener('click', (event) => {
+            const viewer = this._host && this._host.viewer;
+            if (viewer) viewer.onHotspotClick(this, event);
+        });
+        // Taps on the AR dom-overlay would otherwise also become XR select events (placement/drag)
+        this.addEventListener('beforexrselect', (event) => event.preventDefault());
+    }
+
+    connectedCallback() {
+        this._host = this.closest('splat-viewer');
+        this._notifyHost();
+    }
+
+    disconnectedCallback() {
+        this._notifyHost();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue) this._notifyHost();
+    }
+
+    _notifyHost() {
+        const viewer = this._host && this._host.viewer;
+        // Moves into and out of the AR overlay are done by the viewer itself
+        if (!viewer || viewer._movingHotspots || viewer._hotspotRefreshPending) return;
+        viewer._hotspotRefreshPending = true;
+        queueMicrotask(() => {
+            viewer._hotspotRefreshPending = false;
+            viewer.refreshHotspots();
+        });
+    }
+}
+
+let layerIdCounter = 0;
+
+/**
+ * <splat-layer> - an additional splat composed into the parent <splat-viewer>'s scene
+ * Transforms are relative to the main splat, so AR placement moves all layers with it
+ */
+class SplatLayerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'visible', 'transform-scale', 'transform-position', 'transform-rotate'];
+    }
+
+    constructor() {
+        super();
+        this._viewer = null;
+        this._layerId = null;
+    }
+
+    connectedCallback() {
+        this._attach();
+    }
+
+    disconnectedCallback() {
+        if (this._viewer && this._layerId) {
+            this._viewer.removeLayer(this._layerId);
+        }
+        this._viewer = null;
+        this._layerId = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this._viewer || oldValue === newValue) return;
+
+        if (name === 'src') {
+            this._load();
+        } else if (name === 'visible') {
+            this._viewer.setLayerVisible(this._layerId, this._isVisible());
+        } else {
+            this._viewer.setLayerTransform(this._layerId, parseTransform(this, 'transform'));
+        }
+    }
+
+    /**
+     * Register with the parent viewer - no-op until the parent has created its SplatViewer
+     */
+    _attach() {
+        if (this._viewer) return;
+        const host = this.parentElement;
+        if (!host || host.tagName !== 'SPLAT-VIEWER' || !host.viewer) return;
+
+        this._viewer = host.viewer;
+        this._layerId = this.id || `layer-${++layerIdCounter}`;
+        this._load();
+    }
+
+    _isVisible() {
+        const value = this.getAttribute('visible');
+        return value === null || value === '' || parseBoolean(value);
+    }
+
+    _load() {
+        const src = this.getAttribute('src');
+        if (!src) {
+            console.warn('splat-layer: missing src attribute', this);
+            return;
+        }
+
+        this._viewer.addLayer(this._layerId, {
+            src,
+            transform: parseTransform(this, 'transform'),
+            visible: this._isVisible()
+        }).then((mesh) => {
+            this.dispatchEvent(new CustomEvent('load', { detail: { src, numSplats: mesh.numSplats } }));
+        }).catch((error) => {
+            // Superseded by a newer src or removed from the viewer
+            if (error instanceof SplatLoadError && error.type === 'aborted') return;
+            this.dispatchEvent(new CustomEvent('error', { detail: { src, error, message: error.message || String(error) } }));
+        });
+    }
+}
+
+// Register the custom elements
 customElements.define('splat-viewer', SplatViewerElement);
+customElements.define('splat-layer', SplatLayerElement);
+customElements.define('splat-viewpoint', SplatViewpointElement);
+customElements.define('splat-hotspot', SplatHotspotElement);
 
 